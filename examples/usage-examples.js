@@ -225,8 +225,39 @@ async function advancedQueryExample(fastify, options) {
   });
 }
 
+// Contoh route CRUD otomatis, setara dengan userRoutes di atas
+async function resourceExample(fastify, options) {
+  fastify.registerResource('users', {
+    fields: ['id', 'name', 'email', 'status', 'created_at'],
+    schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        email: { type: 'string' },
+        status: { type: 'string', enum: ['active', 'inactive'] }
+      },
+      required: ['name', 'email']
+    },
+    filter: { status: ['eq', 'in'] },
+    sort: ['name', 'created_at'],
+    label: 'User'
+  });
+
+  // Resource MongoDB dengan kondisi tambahan dan field yang disembunyikan
+  fastify.registerResource('events', {
+    engine: 'mongodb',
+    prefix: '/api',
+    routes: ['list', 'get'],
+    hooks: {
+      query: (query, request) => query.where('tenant_id', request.headers['x-tenant-id']),
+      serialize: ({ tenant_id, ...event }) => event
+    }
+  });
+}
+
 module.exports = {
   userRoutes,
   multiDbExample,
-  advancedQueryExample
+  advancedQueryExample,
+  resourceExample
 }; 
\ No newline at end of file
@@ -3,8 +3,42 @@
  * Query Builder yang dapat mengkonversi query ke format yang sesuai dengan database engine
  */
 
+const { pipeline } = require('stream');
 const fp = require('fastify-plugin');
 const QueryBuilder = require('./lib/queryBuilder');
+const RelationLoader = require('./lib/relationLoader');
+const MemoryStore = require('./lib/memoryStore');
+const ExportStream = require('./lib/exportStream');
+const Resource = require('./lib/resource');
+const Model = require('./lib/model');
+const LruCache = require('./lib/lruCache');
+const QueryMonitor = require('./lib/queryMonitor');
+const { getAdapter } = require('./lib/adapterRegistry');
+
+/**
+ * Memvalidasi koneksi bernama dari opsi plugin.
+ * Engine harus terdaftar dan opsi koneksi yang dibutuhkan adapter harus ada
+ * @param {Object} connections - Koneksi per nama ({ engine, knex|decorator|mongoose|store })
+ * @param {string} defaultConnection - Nama koneksi default (opsional)
+ */
+function validateConnections(connections, defaultConnection) {
+  Object.keys(connections).forEach(name => {
+    const connection = connections[name] || {};
+
+    if (!connection.engine) {
+      throw new Error(`Koneksi "${name}" membutuhkan opsi engine`);
+    }
+
+    const required = getAdapter(connection.engine).connectionOptions || [];
+    if (required.length > 0 && !required.some(key => connection[key])) {
+      throw new Error(`Koneksi "${name}" membutuhkan opsi ${required.join(' atau ')}`);
+    }
+  });
+
+  if (defaultConnection && !connections[defaultConnection]) {
+    throw new Error(`defaultConnection "${defaultConnection}" tidak ditemukan di connections`);
+  }
+}
 
 /**
  * Plugin untuk mendaftarkan query builder ke Fastify
@@ -13,13 +47,54 @@ const QueryBuilder = require('./lib/queryBuilder');
  * @param {Function} done - Callback function
  */
 async function dbQueryBuilder(fastify, options = {}, done) {
+  // Adapter pihak ketiga didaftarkan sebelum engine divalidasi
+  Object.keys(options.adapters || {}).forEach(name => {
+    QueryBuilder.registerAdapter(name, options.adapters[name]);
+  });
+
+  const connections = options.connections || {};
+  validateConnections(connections, options.defaultConnection);
+  QueryBuilder.validateHooks(options.hooks);
+  if (options.cacheStore) {
+    LruCache.validateStore(options.cacheStore);
+  }
+
   // Opsi default
   const defaultOptions = {
     decoratorName: 'queryBuilder',
-    dbEngine: process.env.DB_ENGINE || 'pg',
-    ...options
+    dbEngine: connections[options.defaultConnection]?.engine || process.env.DB_ENGINE || 'pg',
+    ...options,
+    connections,
+    // Store untuk engine 'memory', dapat diisi dengan fastify.db.memory.seed()
+    memoryStore: options.memoryStore || new MemoryStore(),
+    // Store untuk cache(), default LRU di memori proses
+    cacheStore: options.cacheStore || new LruCache(),
+    // Konfigurasi per tabel (relasi, field model, dll), dapat ditambah dengan fastify.db.define()
+    tables: { ...options.tables },
+    // Hook global per nama, dapat ditambah dengan fastify.db.addHook()
+    hooks: Object.fromEntries(Object.keys(options.hooks || {}).map(name => [name, [].concat(options.hooks[name])])),
+    // Pencatat query ke fastify.log dan event untuk metrik (fastify.db.events)
+    monitor: new QueryMonitor({
+      logger: fastify.log,
+      logLevel: options.queryLogLevel || 'debug',
+      slowQueryThreshold: options.slowQueryThreshold ?? null
+    })
   };
 
+  // Query di dalam request dicatat dengan request id dan route
+  fastify.addHook('onRequest', (request, reply, next) => {
+    QueryMonitor.run({ request }, next);
+  });
+
+  // Engine default yang tidak dikenal langsung menghasilkan error saat registrasi
+  getAdapter(defaultOptions.dbEngine);
+
+  Object.keys(defaultOptions.tables).forEach(table => {
+    RelationLoader.validateRelations(table, defaultOptions.tables[table].relations);
+    QueryBuilder.validateHooks(defaultOptions.tables[table].hooks, table);
+    Model.fromOptions(defaultOptions, table);
+  });
+
   // Mendaftarkan query builder sebagai decorator
   fastify.decorate(defaultOptions.decoratorName, (queryOptions = {}) => {
     return new QueryBuilder(fastify, {
@@ -50,17 +125,122 @@ async function dbQueryBuilder(fastify, options = {}, done) {
     // Query dengan engine default
     query: (tableName) => {
       return fastify.getQueryBuilder().from(tableName);
+    },
+
+    // Query builder untuk koneksi bernama
+    use: (connectionName) => {
+      return fastify[defaultOptions.decoratorName]({ connection: connectionName });
+    },
+
+    // Menjalankan callback di dalam transaksi
+    transaction: (callback, queryOptions = {}) => {
+      return fastify[defaultOptions.decoratorName](queryOptions).transaction(callback);
+    },
+
+    // Mendaftarkan adapter untuk engine database baru
+    registerAdapter: (name, Adapter) => {
+      QueryBuilder.registerAdapter(name, Adapter);
+      return fastify.db;
+    },
+
+    // Store data engine 'memory' (seed/reset/all)
+    memory: defaultOptions.memoryStore,
+
+    // Event query untuk metrik: fastify.db.events.on('query', ({ engine, table, operation, duration }) => ...)
+    events: defaultOptions.monitor,
+
+    // Menghapus cache query berdasarkan tag (nama tabel atau tag dari cache({ tags }))
+    invalidate: async (tags) => {
+      await defaultOptions.cacheStore.invalidateTags([].concat(tags));
+      return fastify.db;
+    },
+
+    // Mendefinisikan konfigurasi tabel, misalnya relasi untuk with(), field model dan hook
+    define: (tableName, config = {}) => {
+      const existing = defaultOptions.tables[tableName] || {};
+      RelationLoader.validateRelations(tableName, config.relations);
+      QueryBuilder.validateHooks(config.hooks, tableName);
+      if (config.fields) {
+        Model.for(tableName, config.fields);
+      }
+
+      // Hook tabel ditambahkan ke hook yang sudah ada
+      const hooks = { ...existing.hooks };
+      Object.keys(config.hooks || {}).forEach(name => {
+        hooks[name] = [].concat(hooks[name] || [], config.hooks[name]);
+      });
+
+      defaultOptions.tables[tableName] = {
+        ...existing,
+        ...config,
+        relations: { ...existing.relations, ...config.relations },
+        hooks
+      };
+      return fastify.db;
+    },
+
+    // Mendaftarkan hook global untuk semua tabel, misalnya fastify.db.addHook('beforeQuery', fn)
+    addHook: (name, hook) => {
+      QueryBuilder.validateHooks({ [name]: hook });
+      defaultOptions.hooks[name] = [...(defaultOptions.hooks[name] || []), hook];
+      return fastify.db;
+    },
+
+    // Mendapatkan model tabel, misalnya untuk JSON Schema route: fastify.db.model('users').schema('create')
+    model: (tableName) => {
+      const model = Model.fromOptions(defaultOptions, tableName);
+      if (!model) {
+        throw new Error(`Field untuk "${tableName}" belum didefinisikan, gunakan fastify.db.define()`);
+      }
+      return model;
     }
   });
 
+  // Mendaftarkan route REST CRUD untuk sebuah tabel atau koleksi
+  fastify.decorate('registerResource', (name, resourceOptions = {}) => {
+    const queryOptions = {};
+    if (resourceOptions.engine) {
+      queryOptions.dbEngine = resourceOptions.engine;
+    }
+    if (resourceOptions.connection) {
+      queryOptions.connection = resourceOptions.connection;
+    }
+
+    const createQuery = table => fastify[defaultOptions.decoratorName](queryOptions).from(table);
+    return new Resource(fastify, name, resourceOptions, createQuery).register();
+  });
+
+  // Mengirim hasil query sebagai stream CSV, NDJSON atau JSON
+  fastify.decorateReply('sendQuery', function (builder, options = {}) {
+    const output = new ExportStream({ format: options.format, fields: builder.fields });
+
+    this.type(ExportStream.CONTENT_TYPES[output.format]);
+    if (options.filename) {
+      this.header('content-disposition', `attachment; filename="${String(options.filename).replace(/"/g, '')}"`);
+    }
+
+    // pipeline meneruskan backpressure dari reply ke cursor database dan menutup cursor jika terjadi error
+    pipeline(builder.stream(), output, error => {
+      if (error) {
+        this.log.error(error);
+      }
+    });
+
+    return this.send(output);
+  });
+
   done();
 }
 
 // Export sebagai plugin Fastify
 module.exports = fp(dbQueryBuilder, {
   name: 'fastify-db-query-builder',
-  fastify: '4.x'
+  fastify: '5.x'
 });
 
-// Export kelas QueryBuilder untuk penggunaan langsung
-module.exports.QueryBuilder = QueryBuilder; 
\ No newline at end of file
+// Export kelas QueryBuilder, MemoryStore, Model, LruCache dan QueryMonitor untuk penggunaan langsung
+module.exports.QueryBuilder = QueryBuilder;
+module.exports.MemoryStore = MemoryStore;
+module.exports.Model = Model;
+module.exports.LruCache = LruCache;
+module.exports.QueryMonitor = QueryMonitor; 
\ No newline at end of file
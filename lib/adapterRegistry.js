@@ -0,0 +1,87 @@
+/**
+ * Adapter Registry
+ * Daftar adapter per nama engine database. Adapter bawaan didaftarkan di sini
+ * dan adapter pihak ketiga dapat ditambahkan dengan registerAdapter()
+ */
+
+const MongoAdapter = require('./adapters/mongoAdapter');
+const KnexAdapter = require('./adapters/knexAdapter');
+const MemoryAdapter = require('./adapters/memoryAdapter');
+
+/**
+ * Method yang wajib diimplementasikan setiap adapter
+ */
+const ADAPTER_METHODS = ['get', 'insert', 'update', 'delete', 'count'];
+
+/**
+ * Kemampuan adapter yang dikenali query builder
+ */
+const CAPABILITIES = ['joins', 'aggregates', 'transactions', 'returning', 'streaming', 'explain', 'upsert', 'atomicUpdates'];
+
+const adapters = new Map();
+
+/**
+ * Mendaftarkan adapter untuk satu atau beberapa nama engine
+ * @param {string|Array} name - Nama engine, misal 'clickhouse' atau ['mongodb', 'mongo']
+ * @param {Function} Adapter - Kelas adapter dengan constructor(fastify, options)
+ */
+function registerAdapter(name, Adapter) {
+  const names = [].concat(name);
+
+  if (names.length === 0 || names.some(item => typeof item !== 'string' || item.trim() === '')) {
+    throw new Error('Nama engine adapter harus berupa string yang tidak kosong');
+  }
+
+  if (typeof Adapter !== 'function') {
+    throw new Error(`Adapter untuk engine "${names[0]}" harus berupa kelas`);
+  }
+
+  const missing = ADAPTER_METHODS.filter(method => typeof Adapter.prototype[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Adapter untuk engine "${names[0]}" harus mengimplementasikan method ${missing.join(', ')}`);
+  }
+
+  const unknown = Object.keys(Adapter.capabilities || {}).filter(capability => !CAPABILITIES.includes(capability));
+  if (unknown.length > 0) {
+    throw new Error(`Kemampuan adapter tidak dikenal: ${unknown.join(', ')}. Kemampuan yang tersedia: ${CAPABILITIES.join(', ')}`);
+  }
+
+  names.forEach(item => adapters.set(item, Adapter));
+}
+
+/**
+ * Mendapatkan kelas adapter untuk sebuah engine
+ * @param {string} name - Nama engine
+ * @returns {Function} - Kelas adapter
+ */
+function getAdapter(name) {
+  const Adapter = adapters.get(name);
+
+  if (!Adapter) {
+    throw new Error(`Engine database "${name}" tidak dikenal. Engine yang terdaftar: ${[...adapters.keys()].join(', ')}`);
+  }
+
+  return Adapter;
+}
+
+/**
+ * Mengecek apakah adapter memiliki kemampuan tertentu
+ * @param {Function} Adapter - Kelas adapter
+ * @param {string} capability - Nama kemampuan, misal 'joins'
+ * @returns {boolean} - True jika didukung
+ */
+function supportsCapability(Adapter, capability) {
+  return Boolean(Adapter.capabilities && Adapter.capabilities[capability]);
+}
+
+registerAdapter(['mongodb', 'mongo'], MongoAdapter);
+registerAdapter(['pg', 'postgres', 'postgresql', 'mysql', 'mysql2', 'sqlite', 'sqlite3', 'better-sqlite3', 'mssql', 'oracledb'], KnexAdapter);
+registerAdapter('memory', MemoryAdapter);
+
+module.exports = {
+  ADAPTER_METHODS,
+  CAPABILITIES,
+  registerAdapter,
+  getAdapter,
+  supportsCapability
+};
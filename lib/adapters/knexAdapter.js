@@ -3,11 +3,38 @@
  * Adapter untuk mengkonversi query ke format SQL menggunakan Knex
  */
 
+const { orderByInput, likeToGlob } = require('../utils');
+
+/**
+ * Dialek SQL tanpa RETURNING (knex mengabaikan returning() pada dialek ini)
+ */
+const NO_RETURNING_DIALECTS = ['mysql'];
+
+/**
+ * Dialek SQL dengan RETURNING hanya untuk kolom tertentu (tanpa RETURNING *)
+ */
+const COLUMN_RETURNING_DIALECTS = ['oracle'];
+
 class KnexAdapter {
-  constructor(fastify, dbEngine) {
+  constructor(fastify, options = {}) {
     this.fastify = fastify;
-    this.dbEngine = dbEngine || 'pg';
+    this.dbEngine = options.dbEngine || 'pg';
+    // Instance knex read replica, hanya untuk koneksi bernama dengan opsi read
+    this.readers = [];
     
+    // Query di dalam transaksi dijalankan melalui objek trx knex (selalu primary)
+    if (options.transaction) {
+      this.knex = options.transaction;
+      return;
+    }
+
+    // Koneksi bernama: instance knex langsung atau nama decorator di fastify.knex
+    if (options.connection) {
+      this.knex = this._resolveConnection(options.connection);
+      this.readers = options.connection.read ? [].concat(options.connection.read) : [];
+      return;
+    }
+
     // Mendapatkan instance knex dari fastify
     if (!this.fastify.knex || !this.fastify.knex[process.env.DB_DECORATOR || 'db']) {
       throw new Error('Knex instance tidak ditemukan di fastify');
@@ -16,33 +43,201 @@ class KnexAdapter {
     this.knex = this.fastify.knex[process.env.DB_DECORATOR || 'db'];
   }
 
+  /**
+   * Mendapatkan instance knex dari konfigurasi koneksi bernama
+   * @param {Object} connection - Konfigurasi koneksi ({ name, engine, knex, decorator })
+   * @returns {Object} - Instance knex
+   */
+  _resolveConnection(connection) {
+    if (connection.knex) {
+      return connection.knex;
+    }
+
+    const knex = connection.decorator && this.fastify.knex && this.fastify.knex[connection.decorator];
+    if (!knex) {
+      throw new Error(`Knex instance untuk koneksi "${connection.name}" tidak ditemukan`);
+    }
+
+    return knex;
+  }
+
+  /**
+   * Memilih instance knex untuk operasi baca.
+   * Read replica dipilih secara acak, kecuali builder meminta primary (onPrimary())
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Object} - Instance knex
+   */
+  _reader(builder) {
+    if (this.readers.length === 0 || builder.forcePrimary) {
+      return this.knex;
+    }
+
+    return this.readers[Math.floor(Math.random() * this.readers.length)];
+  }
+
+  /**
+   * Menerapkan daftar kondisi (termasuk grup bersarang) ke query knex
+   * @param {Object} query - Query knex
+   * @param {Array} conditions - Kondisi dari query builder
+   * @returns {Object} - Query knex
+   */
+  _applyConditions(query, conditions) {
+    conditions.forEach(condition => {
+      const { boolean, not } = condition;
+      const method = boolean === 'or' ? 'orWhere' : 'where';
+
+      if (condition.type === 'group') {
+        // Grup bersarang menjadi kondisi dalam tanda kurung
+        query = query[not ? `${method}Not` : method](subQuery => {
+          this._applyConditions(subQuery, condition.conditions);
+        });
+      } else if (not) {
+        // Negasi dibungkus dalam grup agar berlaku untuk semua operator
+        query = query[`${method}Not`](subQuery => {
+          this._applyCondition(subQuery, { ...condition, boolean: 'and', not: false });
+        });
+      } else {
+        query = this._applyCondition(query, condition);
+      }
+    });
+
+    return query;
+  }
+
+  /**
+   * Menerapkan satu kondisi ke query knex
+   * @param {Object} query - Query knex
+   * @param {Object} condition - Kondisi dari query builder
+   * @returns {Object} - Query knex
+   */
+  _applyCondition(query, condition) {
+    const { field, operator, value, boolean } = condition;
+    const method = boolean === 'or' ? 'orWhere' : 'where';
+
+    switch (operator) {
+      case 'in':
+        return query[`${method}In`](field, value);
+      case 'not in':
+        return query[`${method}NotIn`](field, value);
+      case 'like':
+        return this._applyLike(query, method, field, value);
+      case 'ilike':
+        return this._applyILike(query, method, field, value);
+      case 'regex':
+        return this._applyRegex(query, method, field, value);
+      case 'between':
+        return query[`${method}Between`](field, value);
+      case 'not between':
+        return query[`${method}NotBetween`](field, value);
+      case 'null':
+      case 'not exists':
+        return query[`${method}Null`](field);
+      case 'not null':
+      case 'exists':
+        return query[`${method}NotNull`](field);
+      case '=':
+      case '!=':
+      case '<>':
+      case '>':
+      case '>=':
+      case '<':
+      case '<=':
+        return query[method](field, operator, value);
+      default:
+        throw new Error(`Operator "${operator}" tidak didukung oleh KnexAdapter`);
+    }
+  }
+
+  /**
+   * Menerapkan kondisi LIKE yang membedakan huruf besar/kecil sesuai dialek SQL
+   * (ILIKE menggunakan whereILike dari knex)
+   * @param {Object} query - Query knex
+   * @param {string} method - Method where knex (where/orWhere)
+   * @param {string} field - Field yang akan dicek
+   * @param {string} pattern - Pola LIKE
+   * @returns {Object} - Query knex
+   */
+  _applyLike(query, method, field, pattern) {
+    switch (this.knex.client.dialect) {
+      case 'mysql':
+        // COLLATE utf8_bin dari knex gagal pada kolom utf8mb4, LIKE BINARY berlaku untuk semua charset
+        return query[`${method}Raw`]('?? like binary ?', [field, pattern]);
+      case 'sqlite3':
+        // LIKE di SQLite selalu mengabaikan huruf besar/kecil untuk karakter ASCII, GLOB membedakannya
+        return query[`${method}Raw`]('?? glob ?', [field, likeToGlob(pattern)]);
+      default:
+        return query[`${method}Like`](field, pattern);
+    }
+  }
+
+  /**
+   * Menerapkan kondisi ILIKE (tanpa membedakan huruf besar/kecil) sesuai dialek SQL
+   * @param {Object} query - Query knex
+   * @param {string} method - Method where knex (where/orWhere)
+   * @param {string} field - Field yang akan dicek
+   * @param {string} pattern - Pola LIKE
+   * @returns {Object} - Query knex
+   */
+  _applyILike(query, method, field, pattern) {
+    if (this.knex.client.dialect === 'sqlite3') {
+      // SQLite tidak memiliki karakter escape default untuk LIKE
+      return query[`${method}Raw`]("?? like ? escape '\\'", [field, pattern]);
+    }
+    return query[`${method}ILike`](field, pattern);
+  }
+
+  /**
+   * Menerapkan kondisi regular expression sesuai dialek SQL
+   * @param {Object} query - Query knex
+   * @param {string} method - Method where knex (where/orWhere)
+   * @param {string} field - Field yang akan dicek
+   * @param {string|RegExp} pattern - Pola regular expression
+   * @returns {Object} - Query knex
+   */
+  _applyRegex(query, method, field, pattern) {
+    const source = pattern instanceof RegExp ? pattern.source : pattern;
+    const caseInsensitive = pattern instanceof RegExp && pattern.flags.includes('i');
+
+    switch (this.knex.client.dialect) {
+      case 'postgresql':
+        return query[method](field, caseInsensitive ? '~*' : '~', source);
+      case 'mysql':
+      case 'sqlite3':
+        return query[method](field, 'regexp', source);
+      default:
+        throw new Error(`Operator regex tidak didukung untuk dialek ${this.knex.client.dialect}`);
+    }
+  }
+
+  /**
+   * Membuat query knex untuk tabel utama beserta join-nya
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} knex - Instance knex yang digunakan (default: primary)
+   * @returns {Object} - Query knex
+   */
+  _baseQuery(builder, knex = this.knex) {
+    let query = knex(builder.table);
+
+    builder.joins.forEach(join => {
+      const method = join.type === 'left' ? 'leftJoin' : 'join';
+      query = query[method](join.table, join.first, join.operator, join.second);
+    });
+
+    return query;
+  }
+
   /**
    * Membangun query knex berdasarkan query builder
    * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} knex - Instance knex yang digunakan (default: primary)
    * @returns {Object} - Query knex
    */
-  _buildQuery(builder) {
-    let query = this.knex(builder.table);
+  _buildQuery(builder, knex = this.knex) {
+    let query = this._baseQuery(builder, knex);
 
     // Menerapkan kondisi where
     if (builder.conditions.length > 0) {
-      builder.conditions.forEach(condition => {
-        const { field, operator, value } = condition;
-        
-        switch (operator) {
-          case 'in':
-            query = query.whereIn(field, value);
-            break;
-          case 'not in':
-            query = query.whereNotIn(field, value);
-            break;
-          case 'like':
-            query = query.where(field, 'like', value);
-            break;
-          default:
-            query = query.where(field, operator, value);
-        }
-      });
+      query = this._applyConditions(query, builder.conditions);
     }
 
     // Menerapkan field yang akan diambil
@@ -50,6 +245,16 @@ class KnexAdapter {
       query = query.select(builder.fields);
     }
 
+    return this._applyPagination(query, builder);
+  }
+
+  /**
+   * Menerapkan pengurutan, limit dan offset ke query knex
+   * @param {Object} query - Query knex
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Object} - Query knex
+   */
+  _applyPagination(query, builder) {
     // Menerapkan pengurutan
     if (Object.keys(builder.sorts).length > 0) {
       Object.keys(builder.sorts).forEach(field => {
@@ -69,51 +274,451 @@ class KnexAdapter {
     return query;
   }
 
+  /**
+   * Mendapatkan ekspresi SQL untuk field pada klausa HAVING.
+   * Alias agregat diganti dengan ekspresi agregatnya karena tidak semua
+   * dialek (misalnya PostgreSQL) mengizinkan alias di HAVING
+   * @param {Array} aggregates - Daftar agregat ({ alias, fn, field })
+   * @param {string} field - Alias agregat atau nama field
+   * @returns {Object} - Ekspresi SQL dan bindings
+   */
+  _havingExpression(aggregates, field) {
+    const aggregate = aggregates.find(item => item.alias === field);
+
+    if (!aggregate) {
+      return { sql: '??', bindings: [field] };
+    }
+
+    if (aggregate.field === '*') {
+      return { sql: `${aggregate.fn}(*)`, bindings: [] };
+    }
+
+    return { sql: `${aggregate.fn}(??)`, bindings: [aggregate.field] };
+  }
+
+  /**
+   * Menerapkan kondisi HAVING ke query knex
+   * @param {Object} query - Query knex
+   * @param {Array} havings - Kondisi having dari query builder
+   * @param {Array} aggregates - Daftar agregat ({ alias, fn, field })
+   * @returns {Object} - Query knex
+   */
+  _applyHavings(query, havings, aggregates) {
+    havings.forEach(condition => {
+      const { field, operator, value, boolean } = condition;
+      const { sql, bindings } = this._havingExpression(aggregates, field);
+      let clause;
+      let values = [];
+
+      switch (operator) {
+        case 'in':
+        case 'not in':
+          clause = `${sql} ${operator} (${value.map(() => '?').join(', ')})`;
+          values = value;
+          break;
+        case 'between':
+        case 'not between':
+          clause = `${sql} ${operator} ? and ?`;
+          values = value;
+          break;
+        case 'null':
+          clause = `${sql} is null`;
+          break;
+        case 'not null':
+          clause = `${sql} is not null`;
+          break;
+        case '=':
+        case '!=':
+        case '<>':
+        case '>':
+        case '>=':
+        case '<':
+        case '<=':
+          clause = `${sql} ${operator} ?`;
+          values = [value];
+          break;
+        default:
+          throw new Error(`Operator "${operator}" tidak didukung pada having`);
+      }
+
+      if (condition.not) {
+        clause = `not (${clause})`;
+      }
+
+      query = query[boolean === 'or' ? 'orHavingRaw' : 'havingRaw'](clause, [...bindings, ...values]);
+    });
+
+    return query;
+  }
+
+  /**
+   * Membangun query agregasi knex (GROUP BY, HAVING dan fungsi agregat)
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Array} aggregates - Daftar agregat ({ alias, fn, field })
+   * @param {Object} knex - Instance knex yang digunakan (default: primary)
+   * @returns {Object} - Query knex
+   */
+  _buildAggregateQuery(builder, aggregates, knex = this.knex) {
+    let query = this._baseQuery(builder, knex);
+
+    if (builder.conditions.length > 0) {
+      query = this._applyConditions(query, builder.conditions);
+    }
+
+    if (builder.groups.length > 0) {
+      query = query.select(builder.groups).groupBy(builder.groups);
+    }
+
+    aggregates.forEach(({ alias, fn, field }) => {
+      query = query[fn]({ [alias]: field });
+    });
+
+    if (builder.havings.length > 0) {
+      query = this._applyHavings(query, builder.havings, aggregates);
+    }
+
+    return this._applyPagination(query, builder);
+  }
+
+  /**
+   * Membuat query knex untuk sebuah operasi. Digunakan untuk eksekusi dan describe(),
+   * sehingga query yang dicatat sama dengan query yang dijalankan
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} operation - Operasi (get, stream, count, aggregate, distinct, insert, upsert, update, delete)
+   * @param {any} payload - Data insert, { rows, conflictOn, update } untuk upsert, { data, operations } untuk update,
+   *   field count/distinct atau daftar agregat
+   * @returns {Object} - Query knex
+   */
+  _operationQuery(builder, operation, payload) {
+    switch (operation) {
+      case 'get':
+      case 'stream':
+        return this._buildQuery(builder, this._reader(builder));
+      case 'count': {
+        // Field dari select() tidak disertakan: kolom bersama COUNT() tanpa GROUP BY ditolak PostgreSQL dan MySQL
+        let query = this._baseQuery(builder, this._reader(builder));
+
+        if (builder.conditions.length > 0) {
+          query = this._applyConditions(query, builder.conditions);
+        }
+        return this._applyPagination(query, builder).count({ count: payload });
+      }
+      case 'aggregate':
+        return this._buildAggregateQuery(builder, payload, this._reader(builder));
+      case 'distinct': {
+        let query = this._baseQuery(builder, this._reader(builder));
+
+        if (builder.conditions.length > 0) {
+          query = this._applyConditions(query, builder.conditions);
+        }
+        return query.distinct({ value: payload });
+      }
+      case 'insert': {
+        const query = this.knex(builder.table).insert(payload);
+        const dialect = this.knex.client.dialect;
+
+        if (NO_RETURNING_DIALECTS.includes(dialect)) {
+          return query;
+        }
+        return query.returning(COLUMN_RETURNING_DIALECTS.includes(dialect) ? [builder._primaryKey()] : '*');
+      }
+      case 'upsert':
+        return this._upsertQuery(builder, payload);
+      case 'update':
+        return this._returning(builder, this._buildQuery(builder).update(this._updateData(payload.data, payload.operations)));
+      case 'delete':
+        return this._returning(builder, this._buildQuery(builder).delete());
+      default:
+        throw new Error(`Operasi "${operation}" tidak dikenal`);
+    }
+  }
+
+  /**
+   * Menggabungkan data update dengan increment (field = field + n) dan unset (field = NULL)
+   * @param {Object} data - Data yang akan diperbarui
+   * @param {Object} operations - { increment: { field: jumlah }, unset: [field] }
+   * @returns {Object} - Data update knex
+   */
+  _updateData(data, operations = {}) {
+    const { increment = {}, unset = [] } = operations;
+    const result = { ...data };
+
+    Object.keys(increment).forEach(field => {
+      // NULL dianggap 0 agar hasilnya sama dengan MongoDB dan engine memory
+      result[field] = this.knex.raw('coalesce(??, 0) + ?', [field, increment[field]]);
+    });
+    unset.forEach(field => {
+      result[field] = null;
+    });
+
+    return result;
+  }
+
+  /**
+   * Menambahkan RETURNING dari returning() ke query update/delete
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} query - Query knex
+   * @returns {Object} - Query knex
+   */
+  _returning(builder, query) {
+    if (!builder.returningFields) {
+      return query;
+    }
+
+    this._assertReturning('returning');
+    return query.returning(builder.returningFields);
+  }
+
+  /**
+   * Memastikan dialek mendukung RETURNING
+   * @param {string} operation - Nama operasi untuk pesan error
+   */
+  _assertReturning(operation) {
+    if (NO_RETURNING_DIALECTS.includes(this.knex.client.dialect)) {
+      throw new Error(`${operation}() tidak didukung untuk dialek ${this.knex.client.dialect}`);
+    }
+  }
+
+  /**
+   * Membuat query INSERT ... ON CONFLICT DO UPDATE (ON DUPLICATE KEY UPDATE di MySQL)
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} payload - { rows, conflictOn, update }
+   * @returns {Object} - Query knex
+   */
+  _upsertQuery(builder, { rows, conflictOn, update }) {
+    if (this.knex.client.dialect === 'mssql') {
+      throw new Error('upsert() tidak didukung untuk dialek mssql');
+    }
+
+    const query = this.knex(builder.table).insert(rows).onConflict(conflictOn);
+
+    if (update.length === 0) {
+      return query.ignore();
+    }
+
+    const merged = query.merge(update);
+    return NO_RETURNING_DIALECTS.includes(this.knex.client.dialect) ? merged : merged.returning('*');
+  }
+
+  /**
+   * Mendapatkan SQL dan binding yang dijalankan untuk sebuah operasi
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} operation - Operasi (default: get)
+   * @param {any} payload - Payload operasi (lihat _operationQuery())
+   * @returns {Object} - { sql, bindings }
+   */
+  describe(builder, operation = 'get', payload) {
+    const { sql, bindings } = this._operationQuery(builder, operation, payload).toSQL();
+    return { sql, bindings };
+  }
+
+  /**
+   * Mendapatkan SQL dengan nilai yang sudah disisipkan (untuk debugging)
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {string} - SQL
+   */
+  toSQL(builder) {
+    return this._buildQuery(builder).toString();
+  }
+
+  /**
+   * Menjalankan EXPLAIN sesuai dialek SQL untuk query baca
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Promise<Object>} - { engine, query, indexes, fullScan, plan }
+   */
+  async explain(builder) {
+    const query = this.describe(builder, 'get');
+    const reader = this._reader(builder);
+    const dialect = this.knex.client.dialect;
+    let summary;
+
+    switch (dialect) {
+      case 'postgresql': {
+        const result = await reader.raw(`explain (format json) ${query.sql}`, query.bindings);
+        const output = result.rows[0]['QUERY PLAN'];
+        const plan = typeof output === 'string' ? JSON.parse(output) : output;
+        const nodes = [];
+        const visit = node => {
+          nodes.push(node);
+          (node.Plans || []).forEach(visit);
+        };
+        plan.forEach(item => visit(item.Plan));
+
+        summary = {
+          plan,
+          indexes: nodes.map(node => node['Index Name']).filter(Boolean),
+          fullScan: nodes.some(node => node['Node Type'] === 'Seq Scan')
+        };
+        break;
+      }
+      case 'mysql': {
+        const [rows] = await reader.raw(`explain ${query.sql}`, query.bindings);
+        summary = {
+          plan: rows,
+          indexes: rows.map(row => row.key).filter(Boolean),
+          fullScan: rows.some(row => row.type === 'ALL')
+        };
+        break;
+      }
+      case 'sqlite3': {
+        const rows = await reader.raw(`explain query plan ${query.sql}`, query.bindings);
+        summary = {
+          plan: rows,
+          indexes: rows.map(row => (/USING (?:COVERING )?INDEX (\S+)/.exec(row.detail) || [])[1]).filter(Boolean),
+          // SCAN tanpa USING berarti tabel dibaca seluruhnya
+          fullScan: rows.some(row => /^SCAN /.test(row.detail) && !/ USING /.test(row.detail))
+        };
+        break;
+      }
+      default:
+        throw new Error(`explain() tidak didukung untuk dialek ${dialect}`);
+    }
+
+    return {
+      engine: builder.dbEngine,
+      query,
+      indexes: [...new Set(summary.indexes)],
+      fullScan: summary.fullScan,
+      plan: summary.plan
+    };
+  }
+
   /**
    * Mengambil data
    * @param {QueryBuilder} builder - Instance query builder
    * @returns {Promise<Array>} - Hasil query
    */
   async get(builder) {
-    const query = this._buildQuery(builder);
-    return await query;
+    return await this._operationQuery(builder, 'get');
+  }
+
+  /**
+   * Mengambil data sebagai stream baris (knex .stream(), untuk PostgreSQL membutuhkan pg-query-stream)
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Readable} - Stream object mode
+   */
+  stream(builder) {
+    if (this.knex.client.dialect === 'postgresql') {
+      try {
+        require.resolve('pg-query-stream');
+      } catch (error) {
+        throw new Error('stream() di PostgreSQL membutuhkan paket pg-query-stream (npm install pg-query-stream)');
+      }
+    }
+
+    return this._operationQuery(builder, 'stream').stream();
   }
 
   /**
-   * Menyisipkan data baru
+   * Menyisipkan data baru.
+   * Dialek tanpa RETURNING * membaca ulang baris berdasarkan ID yang dihasilkan database,
+   * sehingga hasilnya sama di semua dialek
    * @param {QueryBuilder} builder - Instance query builder
    * @param {Object|Array} data - Data yang akan disisipkan
-   * @returns {Promise<Object|Array>} - Data yang disisipkan dengan ID
+   * @returns {Promise<Array>} - Baris yang disisipkan dengan field id
    */
   async insert(builder, data) {
-    const query = this.knex(builder.table);
-    
-    if (Array.isArray(data)) {
-      return await query.insert(data).returning('*');
-    } else {
-      return await query.insert(data).returning('*');
+    const primaryKey = builder._primaryKey();
+    const dialect = this.knex.client.dialect;
+    const result = await this._operationQuery(builder, 'insert', data);
+
+    if (!NO_RETURNING_DIALECTS.includes(dialect) && !COLUMN_RETURNING_DIALECTS.includes(dialect)) {
+      return result.map(row => this._withId(row, primaryKey));
+    }
+
+    const rows = [].concat(data);
+    const ids = this._insertedIds(rows, result, primaryKey);
+    const known = ids.filter(id => id !== undefined && id !== null);
+    const found = known.length > 0 ? await this.knex(builder.table).whereIn(primaryKey, known) : [];
+    const byId = new Map(found.map(row => [String(row[primaryKey]), row]));
+
+    // Baris tanpa ID (misalnya tabel tanpa auto increment) tidak dapat dibaca ulang dan dikembalikan sesuai data
+    return ids.map((id, index) => {
+      if (id === undefined || id === null) {
+        return this._withId({ ...rows[index] }, primaryKey);
+      }
+      return this._withId(byId.get(String(id)) || { ...rows[index], [primaryKey]: id }, primaryKey);
+    });
+  }
+
+  /**
+   * Mendapatkan ID baris yang disisipkan pada dialek tanpa RETURNING *.
+   * Oracle mengembalikan primary key dari RETURNING. MySQL hanya mengembalikan ID auto increment
+   * pertama, sehingga ID dari driver hanya digunakan untuk insert satu baris; pada insert banyak baris
+   * hanya primary key yang dikirim di data yang diketahui (ID berikutnya tidak selalu berurutan,
+   * misalnya dengan auto_increment_increment > 1 atau replikasi multi-primary)
+   * @param {Array} rows - Data yang disisipkan
+   * @param {Array} result - Hasil insert dari knex
+   * @param {string} primaryKey - Primary key tabel
+   * @returns {Array} - ID per baris (undefined jika tidak diketahui)
+   */
+  _insertedIds(rows, result, primaryKey) {
+    if (COLUMN_RETURNING_DIALECTS.includes(this.knex.client.dialect)) {
+      return result.map(row => (typeof row === 'object' && row !== null ? row[primaryKey] : row));
     }
+
+    return rows.map(row => {
+      if (row[primaryKey] !== undefined && row[primaryKey] !== null) {
+        return row[primaryKey];
+      }
+      return rows.length === 1 && result[0] ? result[0] : undefined;
+    });
+  }
+
+  /**
+   * Menambahkan field id dari primary key jika primary key tabel bukan id
+   * @param {Object} row - Baris
+   * @param {string} primaryKey - Primary key tabel
+   * @returns {Object} - Baris dengan field id
+   */
+  _withId(row, primaryKey) {
+    return row.id !== undefined || row[primaryKey] === undefined ? row : { ...row, id: row[primaryKey] };
   }
 
   /**
    * Memperbarui data
    * @param {QueryBuilder} builder - Instance query builder
    * @param {Object} data - Data yang akan diperbarui
-   * @returns {Promise<number>} - Jumlah baris yang diperbarui
+   * @param {Object} operations - { increment: { field: jumlah }, unset: [field] } (opsional)
+   * @returns {Promise<number|Array>} - Jumlah baris yang diperbarui, atau baris jika returning() digunakan
+   */
+  async update(builder, data, operations = {}) {
+    return await this._operationQuery(builder, 'update', { data, operations });
+  }
+
+  /**
+   * Menyisipkan data atau memperbarui baris yang sudah ada berdasarkan kolom konflik.
+   * Dialek tanpa RETURNING membaca ulang baris berdasarkan kolom konflik, diurutkan sesuai data input
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Array} rows - Data yang akan disisipkan
+   * @param {Object} options - { conflictOn, update }: kolom konflik dan kolom yang diperbarui jika baris sudah ada
+   * @returns {Promise<Array>} - Baris hasil upsert
    */
-  async update(builder, data) {
-    const query = this._buildQuery(builder);
-    return await query.update(data);
+  async upsert(builder, rows, options) {
+    const primaryKey = builder._primaryKey();
+    const result = await this._operationQuery(builder, 'upsert', { rows, ...options });
+    if (!NO_RETURNING_DIALECTS.includes(this.knex.client.dialect) && options.update.length > 0) {
+      return result.map(row => this._withId(row, primaryKey));
+    }
+
+    // Tanpa RETURNING, atau tanpa field update (baris yang konflik diabaikan dan tidak ikut RETURNING),
+    // baris dibaca ulang berdasarkan field konflik
+
+    const found = await this.knex(builder.table).where(query => {
+      rows.forEach(row => {
+        query.orWhere(Object.fromEntries(options.conflictOn.map(column => [column, row[column]])));
+      });
+    });
+    return orderByInput(found, rows, options.conflictOn).map(row => this._withId(row, primaryKey));
   }
 
   /**
    * Menghapus data
    * @param {QueryBuilder} builder - Instance query builder
-   * @returns {Promise<number>} - Jumlah baris yang dihapus
+   * @returns {Promise<number|Array>} - Jumlah baris yang dihapus, atau baris jika returning() digunakan
    */
   async delete(builder) {
-    const query = this._buildQuery(builder);
-    return await query.delete();
+    return await this._operationQuery(builder, 'delete');
   }
 
   /**
@@ -123,10 +728,60 @@ class KnexAdapter {
    * @returns {Promise<number>} - Jumlah data
    */
   async count(builder, field) {
-    const query = this._buildQuery(builder);
-    const result = await query.count({ count: field });
+    const result = await this._operationQuery(builder, 'count', field);
     return parseInt(result[0].count, 10);
   }
+
+  /**
+   * Menjalankan fungsi agregat
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Array} aggregates - Daftar agregat ({ alias, fn, field })
+   * @returns {Promise<Array>} - Baris hasil agregasi
+   */
+  async aggregate(builder, aggregates) {
+    return await this._operationQuery(builder, 'aggregate', aggregates);
+  }
+
+  /**
+   * Mengambil nilai unik dari sebuah field
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} field - Field yang akan diambil nilai uniknya
+   * @returns {Promise<Array>} - Daftar nilai unik
+   */
+  async distinct(builder, field) {
+    const rows = await this._operationQuery(builder, 'distinct', field);
+    return rows.map(row => row.value);
+  }
+
+  /**
+   * Menjalankan callback di dalam transaksi knex.
+   * Commit jika callback berhasil, rollback jika callback melempar error.
+   * Jika adapter sudah berada di dalam transaksi, knex membuat savepoint
+   * @param {Function} callback - Fungsi yang menerima objek trx knex
+   * @returns {Promise<any>} - Hasil callback
+   */
+  async transaction(callback) {
+    return await this.knex.transaction(trx => callback(trx));
+  }
 }
 
+/**
+ * Kemampuan adapter (RETURNING dan EXPLAIN tergantung dialek database)
+ */
+KnexAdapter.capabilities = {
+  joins: true,
+  aggregates: true,
+  transactions: true,
+  returning: true,
+  streaming: true,
+  explain: true,
+  upsert: true,
+  atomicUpdates: true
+};
+
+/**
+ * Opsi koneksi bernama, salah satunya wajib diisi
+ */
+KnexAdapter.connectionOptions = ['knex', 'decorator'];
+
 module.exports = KnexAdapter; 
\ No newline at end of file
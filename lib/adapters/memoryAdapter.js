@@ -0,0 +1,657 @@
+/**
+ * Memory Adapter
+ * Adapter untuk menjalankan query di atas array JavaScript (MemoryStore),
+ * dengan semantik yang mengikuti SQL, misalnya untuk testing tanpa database
+ */
+
+const { Readable } = require('stream');
+const { parseAlias, likeToRegex } = require('../utils');
+
+class MemoryAdapter {
+  constructor(fastify, options = {}) {
+    this.fastify = fastify;
+    this.options = options;
+    this.store = options.connection?.store || options.memoryStore;
+
+    if (!this.store) {
+      throw new Error('MemoryAdapter membutuhkan opsi memoryStore');
+    }
+  }
+
+  /**
+   * Menormalkan nilai agar dapat dibandingkan (Date, ObjectId dan undefined)
+   * @param {any} value - Nilai
+   * @returns {any} - Nilai yang dapat dibandingkan
+   */
+  _normalize(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (value instanceof Date) {
+      return value.getTime();
+    }
+    if (typeof value === 'object' && typeof value.toHexString === 'function') {
+      return value.toHexString();
+    }
+    return value;
+  }
+
+  /**
+   * Membandingkan dua nilai yang tidak null
+   * @param {any} a - Nilai pertama
+   * @param {any} b - Nilai kedua
+   * @returns {number} - Negatif, nol atau positif
+   */
+  _compare(a, b) {
+    a = this._normalize(a);
+    b = this._normalize(b);
+
+    if (a === b) {
+      return 0;
+    }
+    return a < b ? -1 : 1;
+  }
+
+  /**
+   * Mengambil nilai dari path bersarang ('address.city')
+   * @param {Object} row - Baris data
+   * @param {string} path - Path field
+   * @returns {any} - Nilai, atau null jika tidak ada
+   */
+  _getPath(row, path) {
+    const value = String(path).split('.').reduce((current, key) => {
+      return current === null || current === undefined ? undefined : current[key];
+    }, row);
+
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Mengambil nilai field dari record (baris utama beserta baris hasil join).
+   * Field dapat diawali alias tabel utama, alias join, atau tanpa alias
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} record - Record ({ base, joins })
+   * @param {string} field - Referensi field
+   * @returns {any} - Nilai field
+   */
+  _value(builder, record, field) {
+    const index = String(field).indexOf('.');
+
+    if (index !== -1) {
+      const prefix = field.slice(0, index);
+      const path = field.slice(index + 1);
+
+      if (prefix === builder.alias || prefix === builder.collection) {
+        return this._getPath(record.base, path);
+      }
+      if (prefix in record.joins) {
+        return this._getPath(record.joins[prefix], path);
+      }
+    }
+
+    // Field tanpa alias diambil dari tabel pertama yang memilikinya, seperti kolom SQL
+    const rows = [record.base, ...Object.values(record.joins)];
+    const row = rows.find(item => item && Object.prototype.hasOwnProperty.call(item, field));
+    return this._getPath(row || record.base, field);
+  }
+
+  /**
+   * Mengevaluasi satu kondisi dengan logika tiga nilai SQL
+   * (perbandingan dengan null menghasilkan null, bukan true/false)
+   * @param {Object} condition - Kondisi dari query builder
+   * @param {Function} resolve - Fungsi yang mengembalikan nilai sebuah field
+   * @returns {boolean|null} - Hasil kondisi
+   */
+  _test(condition, resolve) {
+    const { operator, value } = condition;
+    const actual = this._normalize(resolve(condition.field));
+
+    switch (operator) {
+      case 'null':
+      case 'not exists':
+        return actual === null;
+      case 'not null':
+      case 'exists':
+        return actual !== null;
+      default:
+        break;
+    }
+
+    if (actual === null) {
+      return null;
+    }
+
+    switch (operator) {
+      case 'in':
+      case 'not in': {
+        const values = value.map(item => this._normalize(item));
+        let result = values.includes(actual) ? true : (values.includes(null) ? null : false);
+        if (operator === 'not in' && result !== null) {
+          result = !result;
+        }
+        return result;
+      }
+      case 'between':
+      case 'not between': {
+        const inRange = this._compare(actual, value[0]) >= 0 && this._compare(actual, value[1]) <= 0;
+        return operator === 'between' ? inRange : !inRange;
+      }
+      case 'like':
+      case 'ilike':
+        return likeToRegex(value, operator === 'ilike').test(String(actual));
+      case 'regex': {
+        // Flag g dihapus agar test() tidak menyimpan lastIndex
+        const regex = value instanceof RegExp
+          ? new RegExp(value.source, value.flags.replace('g', ''))
+          : new RegExp(value);
+        return regex.test(String(actual));
+      }
+      default:
+        break;
+    }
+
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const comparison = this._compare(actual, value);
+
+    switch (operator) {
+      case '=':
+        return comparison === 0;
+      case '!=':
+      case '<>':
+        return comparison !== 0;
+      case '>':
+        return comparison > 0;
+      case '>=':
+        return comparison >= 0;
+      case '<':
+        return comparison < 0;
+      case '<=':
+        return comparison <= 0;
+      default:
+        throw new Error(`Operator "${operator}" tidak didukung oleh MemoryAdapter`);
+    }
+  }
+
+  /**
+   * Mengevaluasi daftar kondisi (termasuk grup bersarang).
+   * Sama seperti SQL, AND mengikat lebih kuat daripada OR
+   * @param {Array} conditions - Kondisi dari query builder
+   * @param {Function} resolve - Fungsi yang mengembalikan nilai sebuah field
+   * @returns {boolean|null} - Hasil kondisi
+   */
+  _evaluate(conditions, resolve) {
+    const segments = [];
+
+    conditions.forEach((condition, index) => {
+      if (index === 0 || condition.boolean === 'or') {
+        segments.push([]);
+      }
+
+      let result = condition.type === 'group'
+        ? this._evaluate(condition.conditions, resolve)
+        : this._test(condition, resolve);
+
+      if (condition.not && result !== null) {
+        result = !result;
+      }
+
+      segments[segments.length - 1].push(result);
+    });
+
+    if (segments.length === 0) {
+      return true;
+    }
+
+    const results = segments.map(segment => {
+      if (segment.includes(false)) {
+        return false;
+      }
+      return segment.includes(null) ? null : true;
+    });
+
+    if (results.includes(true)) {
+      return true;
+    }
+    return results.includes(null) ? null : false;
+  }
+
+  /**
+   * Membuat record untuk setiap baris tabel utama lalu menerapkan join
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Array} - Record ({ base, joins })
+   */
+  _records(builder) {
+    let records = this.store.table(builder.collection).map(row => ({ base: row, joins: {} }));
+
+    builder.joins.forEach(join => {
+      const rows = this.store.table(join.collection);
+      const condition = { field: join.first, operator: join.operator, boolean: 'and', not: false };
+
+      records = records.flatMap(record => {
+        const matches = rows
+          .map(row => ({ base: record.base, joins: { ...record.joins, [join.alias]: row } }))
+          .filter(candidate => {
+            const resolve = field => this._value(builder, candidate, field);
+            return this._test({ ...condition, value: resolve(join.second) }, resolve) === true;
+          });
+
+        // Left join mempertahankan record tanpa pasangan dengan nilai null
+        if (matches.length === 0 && join.type === 'left') {
+          return [{ base: record.base, joins: { ...record.joins, [join.alias]: null } }];
+        }
+
+        return matches;
+      });
+    });
+
+    return records;
+  }
+
+  /**
+   * Mendapatkan record yang memenuhi kondisi where
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Array} - Record ({ base, joins })
+   */
+  _filter(builder) {
+    return this._records(builder).filter(record => {
+      return this._evaluate(builder.conditions, field => this._value(builder, record, field)) === true;
+    });
+  }
+
+  /**
+   * Mengurutkan item lalu menerapkan skip dan limit.
+   * Seperti PostgreSQL, null diletakkan di akhir untuk asc dan di awal untuk desc
+   * @param {Array} items - Item yang diurutkan
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Function} resolve - Fungsi (item, field) yang mengembalikan nilai field
+   * @returns {Array} - Item yang sudah diurutkan dan dipotong
+   */
+  _paginate(items, builder, resolve) {
+    const sorts = Object.keys(builder.sorts);
+    let result = [...items];
+
+    if (sorts.length > 0) {
+      result.sort((a, b) => {
+        for (const field of sorts) {
+          const direction = builder.sorts[field] === 'desc' ? -1 : 1;
+          const left = this._normalize(resolve(a, field));
+          const right = this._normalize(resolve(b, field));
+
+          if (left === right) {
+            continue;
+          }
+          if (left === null || right === null) {
+            return (left === null ? 1 : -1) * direction;
+          }
+          return this._compare(left, right) * direction;
+        }
+        return 0;
+      });
+    }
+
+    const start = builder.skipValue || 0;
+    const end = builder.limitValue !== null ? start + builder.limitValue : undefined;
+    return result.slice(start, end);
+  }
+
+  /**
+   * Membentuk baris hasil dari record: field yang dipilih menjadi kolom datar,
+   * atau tanpa select() field dari tabel yang di-join digabung ke baris utama
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} record - Record ({ base, joins })
+   * @returns {Object} - Baris hasil
+   */
+  _shape(builder, record) {
+    const joined = Object.values(record.joins).filter(Boolean);
+
+    if (builder.fields.length === 0) {
+      return structuredClone(Object.assign({}, record.base, ...joined));
+    }
+
+    const row = {};
+
+    builder.fields.forEach(expression => {
+      const { name, alias } = parseAlias(expression);
+
+      if (name === '*') {
+        Object.assign(row, record.base, ...joined);
+      } else if (name.endsWith('.*')) {
+        const prefix = name.slice(0, -2);
+        Object.assign(row, prefix in record.joins ? record.joins[prefix] : record.base);
+      } else {
+        row[alias || name.split('.').pop()] = this._value(builder, record, name);
+      }
+    });
+
+    return structuredClone(row);
+  }
+
+  /**
+   * Memastikan operasi tulis tidak menggunakan join
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} operation - Nama operasi
+   */
+  _assertNoJoins(builder, operation) {
+    if (builder.joins.length > 0) {
+      throw new Error(`${operation}() dengan join tidak didukung oleh MemoryAdapter`);
+    }
+  }
+
+  /**
+   * Menghitung satu fungsi agregat untuk sekumpulan record.
+   * Nilai null diabaikan, sama seperti SQL
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} aggregate - Agregat ({ alias, fn, field })
+   * @param {Array} records - Record dalam satu group
+   * @returns {any} - Hasil agregasi
+   */
+  _accumulate(builder, { fn, field }, records) {
+    if (fn === 'count' && field === '*') {
+      return records.length;
+    }
+
+    const values = records
+      .map(record => this._value(builder, record, field))
+      .filter(value => value !== null);
+
+    switch (fn) {
+      case 'count':
+        return values.length;
+      case 'sum':
+        return values.length > 0 ? values.reduce((total, value) => total + Number(value), 0) : null;
+      case 'avg':
+        return values.length > 0 ? values.reduce((total, value) => total + Number(value), 0) / values.length : null;
+      case 'min':
+        return values.length > 0 ? values.reduce((a, b) => (this._compare(b, a) < 0 ? b : a)) : null;
+      case 'max':
+        return values.length > 0 ? values.reduce((a, b) => (this._compare(b, a) > 0 ? b : a)) : null;
+      default:
+        throw new Error(`Fungsi agregat "${fn}" tidak didukung oleh MemoryAdapter`);
+    }
+  }
+
+  /**
+   * Mengambil nilai kolom dari baris hasil agregasi (field group dapat diawali alias)
+   * @param {Object} row - Baris hasil agregasi
+   * @param {string} field - Alias agregat atau nama field
+   * @returns {any} - Nilai kolom
+   */
+  _column(row, field) {
+    const name = field in row ? field : String(field).split('.').pop();
+    return row[name] === undefined ? null : row[name];
+  }
+
+  /**
+   * Mendapatkan deskripsi operasi (engine memory tidak memiliki bahasa query,
+   * sehingga deskripsi berisi state query builder yang dievaluasi)
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} operation - Operasi (default: get)
+   * @param {any} payload - Data insert/update, field count/distinct atau daftar agregat
+   * @returns {Object} - Deskripsi operasi
+   */
+  describe(builder, operation = 'get', payload) {
+    const description = {
+      table: builder.collection,
+      operation,
+      joins: builder.joins,
+      conditions: builder.conditions,
+      fields: builder.fields,
+      sorts: builder.sorts,
+      limit: builder.limitValue,
+      skip: builder.skipValue
+    };
+
+    if (operation === 'insert') {
+      description.documents = payload;
+    } else if (operation === 'upsert') {
+      description.documents = payload.rows;
+      description.conflictOn = payload.conflictOn;
+      description.updateFields = payload.update;
+    } else if (operation === 'update') {
+      description.data = payload.data;
+      description.operations = payload.operations;
+    } else if (payload !== undefined) {
+      description.payload = payload;
+    }
+
+    return description;
+  }
+
+  /**
+   * Mengambil data
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Promise<Array>} - Hasil query
+   */
+  async get(builder) {
+    return this._rows(builder);
+  }
+
+  /**
+   * Mengambil data sebagai stream baris
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Readable} - Stream object mode
+   */
+  stream(builder) {
+    return Readable.from(this._rows(builder));
+  }
+
+  /**
+   * Menjalankan query baca dan membentuk baris hasil
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Array} - Baris hasil
+   */
+  _rows(builder) {
+    const records = this._paginate(this._filter(builder), builder, (record, field) => {
+      return this._value(builder, record, field);
+    });
+
+    return records.map(record => this._shape(builder, record));
+  }
+
+  /**
+   * Menyisipkan data baru
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object|Array} data - Data yang akan disisipkan
+   * @returns {Promise<Array>} - Data yang disisipkan dengan ID
+   */
+  async insert(builder, data) {
+    const rows = Array.isArray(data) ? data : [data];
+    return rows.map(row => structuredClone(this.store.add(builder.collection, row)));
+  }
+
+  /**
+   * Memperbarui data
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} data - Data yang akan diperbarui
+   * @param {Object} operations - { increment: { field: jumlah }, unset: [field] } (opsional)
+   * @returns {Promise<number|Array>} - Jumlah baris yang diperbarui, atau baris jika returning() digunakan
+   */
+  async update(builder, data, operations = {}) {
+    this._assertNoJoins(builder, 'update');
+    const records = this._filter(builder);
+    const { increment = {}, unset = [] } = operations;
+
+    records.forEach(record => {
+      Object.assign(record.base, structuredClone(data));
+      Object.keys(increment).forEach(field => {
+        // Field null atau yang belum ada dianggap 0, sama seperti SQL (COALESCE) dan MongoDB ($ifNull)
+        record.base[field] = (record.base[field] ?? 0) + increment[field];
+      });
+      unset.forEach(field => delete record.base[field]);
+    });
+
+    return builder.returningFields
+      ? records.map(record => this._returning(builder, record.base))
+      : records.length;
+  }
+
+  /**
+   * Menyisipkan data atau memperbarui baris yang sudah ada berdasarkan field konflik
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Array} rows - Data yang akan disisipkan
+   * @param {Object} options - { conflictOn, update }: field konflik dan field yang diperbarui jika baris sudah ada
+   * @returns {Promise<Array>} - Baris hasil upsert
+   */
+  async upsert(builder, rows, { conflictOn, update }) {
+    const table = this.store.table(builder.collection);
+
+    return rows.map(row => {
+      const existing = table.find(item => conflictOn.every(field => item[field] === row[field]));
+      if (!existing) {
+        return structuredClone(this.store.add(builder.collection, row));
+      }
+
+      update.forEach(field => {
+        existing[field] = structuredClone(row[field]);
+      });
+      return structuredClone(existing);
+    });
+  }
+
+  /**
+   * Membuat salinan baris dengan field dari returning()
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} row - Baris
+   * @returns {Object} - Salinan baris
+   */
+  _returning(builder, row) {
+    const copy = structuredClone(row);
+    if (builder.returningFields.includes('*')) {
+      return copy;
+    }
+    return Object.fromEntries(builder.returningFields.map(field => [field, copy[field] === undefined ? null : copy[field]]));
+  }
+
+  /**
+   * Menghapus data
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Promise<number|Array>} - Jumlah baris yang dihapus, atau baris jika returning() digunakan
+   */
+  async delete(builder) {
+    this._assertNoJoins(builder, 'delete');
+    const deleted = new Set(this._filter(builder).map(record => record.base));
+    const rows = this.store.table(builder.collection);
+
+    this.store.tables[builder.collection] = rows.filter(row => !deleted.has(row));
+    return builder.returningFields
+      ? [...deleted].map(row => this._returning(builder, row))
+      : deleted.size;
+  }
+
+  /**
+   * Menghitung jumlah data
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} field - Field untuk dihitung
+   * @returns {Promise<number>} - Jumlah data
+   */
+  async count(builder, field) {
+    return this._accumulate(builder, { fn: 'count', field }, this._filter(builder));
+  }
+
+  /**
+   * Menjalankan fungsi agregat
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Array} aggregates - Daftar agregat ({ alias, fn, field })
+   * @returns {Promise<Array>} - Baris hasil agregasi
+   */
+  async aggregate(builder, aggregates) {
+    const records = this._filter(builder);
+    const groups = new Map();
+
+    if (builder.groups.length === 0) {
+      // Tanpa groupBy SQL selalu mengembalikan satu baris
+      groups.set('', records);
+    } else {
+      records.forEach(record => {
+        const key = JSON.stringify(builder.groups.map(field => this._normalize(this._value(builder, record, field))));
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(record);
+      });
+    }
+
+    const rows = [...groups.values()].map(items => {
+      const row = {};
+
+      // Seperti kolom SQL, field group yang diawali alias ditampilkan tanpa alias
+      builder.groups.forEach(field => {
+        row[field.split('.').pop()] = this._value(builder, items[0], field);
+      });
+
+      aggregates.forEach(aggregate => {
+        row[aggregate.alias] = this._accumulate(builder, aggregate, items);
+      });
+
+      return row;
+    });
+
+    const filtered = rows.filter(row => {
+      return this._evaluate(builder.havings, field => this._column(row, field)) === true;
+    });
+
+    return structuredClone(this._paginate(filtered, builder, (row, field) => this._column(row, field)));
+  }
+
+  /**
+   * Mengambil nilai unik dari sebuah field
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} field - Field yang akan diambil nilai uniknya
+   * @returns {Promise<Array>} - Daftar nilai unik
+   */
+  async distinct(builder, field) {
+    const values = new Map();
+
+    this._filter(builder).forEach(record => {
+      const value = this._value(builder, record, field);
+      const key = this._normalize(value);
+      if (!values.has(key)) {
+        values.set(key, value);
+      }
+    });
+
+    return structuredClone([...values.values()]);
+  }
+
+  /**
+   * Menjalankan callback di dalam transaksi.
+   * Isi store disalin sebelum callback dan dikembalikan jika callback melempar error.
+   * Transaksi bersarang membuat salinan sendiri sehingga berperilaku seperti savepoint.
+   * Tidak ada isolasi: perubahan langsung terlihat oleh query lain
+   * @param {Function} callback - Fungsi yang menerima store sebagai handle transaksi
+   * @returns {Promise<any>} - Hasil callback
+   */
+  async transaction(callback) {
+    const snapshot = this.store.snapshot();
+
+    try {
+      return await callback(this.store);
+    } catch (error) {
+      this.store.restore(snapshot);
+      throw error;
+    }
+  }
+}
+
+/**
+ * Kemampuan adapter
+ */
+MemoryAdapter.capabilities = {
+  joins: true,
+  aggregates: true,
+  transactions: true,
+  returning: true,
+  streaming: true,
+  upsert: true,
+  atomicUpdates: true
+};
+
+/**
+ * Opsi koneksi bernama (store opsional, default store bawaan plugin)
+ */
+MemoryAdapter.connectionOptions = [];
+
+module.exports = MemoryAdapter;
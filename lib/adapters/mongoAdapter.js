@@ -3,14 +3,53 @@
  * Adapter untuk mengkonversi query ke format MongoDB
  */
 
+const { parseAlias, likeToRegex, orderByInput } = require('../utils');
+
+/**
+ * Operator kebalikan untuk menegasikan kondisi tanpa $nor
+ */
+const NEGATED_OPERATORS = {
+  '=': '!=',
+  '!=': '=',
+  '<>': '=',
+  '>': '<=',
+  '>=': '<',
+  '<': '>=',
+  '<=': '>',
+  'in': 'not in',
+  'not in': 'in',
+  'between': 'not between',
+  'not between': 'between',
+  'null': 'not null',
+  'not null': 'null',
+  'exists': 'not exists',
+  'not exists': 'exists'
+};
+
 class MongoAdapter {
-  constructor(fastify) {
+  constructor(fastify, options = {}) {
     this.fastify = fastify;
-    
-    // Memastikan mongoose tersedia
-    if (!this.fastify.mongoose) {
-      throw new Error('Mongoose instance tidak ditemukan di fastify');
+    this.readPreference = null;
+
+    if (options.connection) {
+      // Koneksi bernama: Connection mongoose atau instance Mongoose
+      const { mongoose, name } = options.connection;
+      if (!mongoose) {
+        throw new Error(`Koneksi mongoose untuk "${name}" tidak ditemukan`);
+      }
+      this.connection = mongoose.connection || mongoose;
+      // Read preference untuk operasi baca, misalnya 'secondaryPreferred'
+      this.readPreference = options.connection.readPreference || null;
+    } else {
+      // Memastikan mongoose tersedia
+      if (!this.fastify.mongoose) {
+        throw new Error('Mongoose instance tidak ditemukan di fastify');
+      }
+      this.connection = this.fastify.mongoose.connection;
     }
+
+    // ClientSession jika query dijalankan di dalam transaksi
+    this.session = options.transaction || null;
   }
 
   /**
@@ -28,35 +67,209 @@ class MongoAdapter {
       '<': '$lt',
       '<=': '$lte',
       'like': '$regex',
+      'ilike': '$regex',
+      'regex': '$regex',
       'in': '$in',
-      'not in': '$nin'
+      'not in': '$nin',
+      'null': '$eq',
+      'not null': '$ne',
+      'exists': '$exists',
+      'not exists': '$exists'
     };
 
-    return operatorMap[operator] || '$eq';
+    if (!operatorMap[operator]) {
+      throw new Error(`Operator "${operator}" tidak didukung oleh MongoAdapter`);
+    }
+
+    return operatorMap[operator];
+  }
+
+  /**
+   * Membangun filter MongoDB untuk satu kondisi
+   * @param {Object} condition - Kondisi dari query builder
+   * @param {Function} resolveField - Fungsi untuk mengubah referensi field menjadi path dokumen
+   * @returns {Object} - Filter MongoDB
+   */
+  _buildCondition(condition, resolveField = field => field) {
+    if (condition.type === 'group') {
+      return this._buildFilter(condition.conditions, resolveField);
+    }
+
+    const { operator, value } = condition;
+    const field = resolveField(condition.field);
+
+    switch (operator) {
+      case 'between':
+        return { [field]: { $gte: value[0], $lte: value[1] } };
+      case 'not between':
+        // Sama seperti SQL, nilai null tidak termasuk dalam NOT BETWEEN
+        return { $or: [{ [field]: { $lt: value[0] } }, { [field]: { $gt: value[1] } }] };
+      case 'null':
+      case 'not null':
+        return { [field]: { [this._convertOperator(operator)]: null } };
+      case 'exists':
+      case 'not exists':
+        return { [field]: { $exists: operator === 'exists' } };
+      case 'regex':
+        return { [field]: { $regex: value instanceof RegExp ? value : new RegExp(value) } };
+      case '!=':
+      case '<>':
+        // Sama seperti SQL, field yang null atau tidak ada tidak termasuk dalam != dan NOT IN
+        return { [field]: { $exists: true, $nin: [value, null] } };
+      case 'not in':
+        return { [field]: { $exists: true, $nin: [...value, null] } };
+      default:
+        break;
+    }
+
+    const mongoOperator = this._convertOperator(operator);
+
+    if ((operator === 'like' || operator === 'ilike') && typeof value === 'string') {
+      return { [field]: { [mongoOperator]: likeToRegex(value, operator === 'ilike') } };
+    }
+
+    return { [field]: { [mongoOperator]: value } };
+  }
+
+  /**
+   * Membangun filter MongoDB untuk kondisi yang dinegasikan (whereNot).
+   * $nor juga cocok dengan dokumen yang field-nya null atau tidak ada, sedangkan NOT di SQL
+   * tidak menyertakan baris yang kondisinya bernilai null. Karena itu negasi diturunkan ke setiap
+   * kondisi (hukum De Morgan) dengan operator kebalikannya yang tidak cocok dengan null
+   * @param {Object} condition - Kondisi dari query builder
+   * @param {Function} resolveField - Fungsi untuk mengubah referensi field menjadi path dokumen
+   * @returns {Object} - Filter MongoDB
+   */
+  _buildNegation(condition, resolveField = field => field) {
+    if (condition.type === 'group') {
+      // NOT (a AND b OR c) menjadi (NOT a OR NOT b) AND NOT c
+      const segments = [];
+      condition.conditions.forEach((item, index) => {
+        if (index === 0 || item.boolean === 'or') {
+          segments.push([]);
+        }
+        const negated = item.not
+          ? this._buildCondition(item, resolveField)
+          : this._buildNegation(item, resolveField);
+        segments[segments.length - 1].push(negated);
+      });
+
+      return this._combineAnd(segments.map(filters => (filters.length === 1 ? filters[0] : { $or: filters })));
+    }
+
+    const inverse = NEGATED_OPERATORS[condition.operator];
+    if (inverse) {
+      return this._buildCondition({ ...condition, operator: inverse, not: false }, resolveField);
+    }
+
+    // like, ilike dan regex tidak memiliki operator kebalikan
+    const filter = this._buildCondition({ ...condition, not: false }, resolveField);
+    const field = Object.keys(filter)[0];
+    return { [field]: { $not: filter[field].$regex, $ne: null } };
+  }
+
+  /**
+   * Mengecek apakah nilai filter berupa objek operator ({ $gte: 1, $lt: 5 })
+   * @param {any} value - Nilai filter untuk satu field
+   * @returns {boolean} - True jika objek operator
+   */
+  _isOperatorObject(value) {
+    return value !== null &&
+      typeof value === 'object' &&
+      value.constructor === Object &&
+      Object.keys(value).length > 0 &&
+      Object.keys(value).every(key => key.startsWith('$'));
+  }
+
+  /**
+   * Mengecek apakah filter dapat digabung langsung ke filter lain
+   * tanpa menimpa kondisi yang sudah ada
+   * @param {Object} target - Filter hasil penggabungan sementara
+   * @param {Object} filter - Filter yang akan digabung
+   * @returns {boolean} - True jika dapat digabung
+   */
+  _canMerge(target, filter) {
+    return Object.keys(filter).every(key => {
+      if (key.startsWith('$')) {
+        return false;
+      }
+
+      if (!(key in target)) {
+        return true;
+      }
+
+      // Field yang sama hanya digabung jika operatornya berbeda, misal $gte + $lt
+      return this._isOperatorObject(target[key]) &&
+        this._isOperatorObject(filter[key]) &&
+        Object.keys(filter[key]).every(operator => !(operator in target[key]));
+    });
+  }
+
+  /**
+   * Menggabungkan beberapa filter dengan AND
+   * Filter per field digabung menjadi satu objek, sedangkan filter yang
+   * bertabrakan (operator yang sama pada field yang sama) atau filter
+   * logika ($or, $nor) dimasukkan ke $and agar tidak ada kondisi yang hilang
+   * @param {Array} filters - Daftar filter MongoDB
+   * @returns {Object} - Filter MongoDB
+   */
+  _combineAnd(filters) {
+    if (filters.length === 1) {
+      return filters[0];
+    }
+
+    const merged = {};
+    const rest = [];
+
+    filters.forEach(filter => {
+      if (!this._canMerge(merged, filter)) {
+        rest.push(filter);
+        return;
+      }
+
+      Object.keys(filter).forEach(key => {
+        merged[key] = key in merged ? { ...merged[key], ...filter[key] } : filter[key];
+      });
+    });
+
+    if (rest.length === 0) {
+      return merged;
+    }
+
+    return { $and: Object.keys(merged).length > 0 ? [merged, ...rest] : rest };
   }
 
   /**
    * Membangun filter MongoDB berdasarkan kondisi
+   * AND mengikat lebih kuat dari OR, sama seperti SQL, sehingga
+   * `a AND b OR c` menjadi `$or: [{a, b}, {c}]`
    * @param {Array} conditions - Kondisi dari query builder
+   * @param {Function} resolveField - Fungsi untuk mengubah referensi field menjadi path dokumen
    * @returns {Object} - Filter MongoDB
    */
-  _buildFilter(conditions) {
-    const filter = {};
-
-    conditions.forEach(condition => {
-      const { field, operator, value } = condition;
-      const mongoOperator = this._convertOperator(operator);
+  _buildFilter(conditions, resolveField = field => field) {
+    const segments = [];
 
-      if (mongoOperator === '$regex' && typeof value === 'string') {
-        // Menangani operator LIKE dengan mengubah % menjadi regex
-        const regexValue = value.replace(/%/g, '.*');
-        filter[field] = { [mongoOperator]: new RegExp(regexValue, 'i') };
-      } else {
-        filter[field] = { [mongoOperator]: value };
+    conditions.forEach((condition, index) => {
+      if (index === 0 || condition.boolean === 'or') {
+        segments.push([]);
       }
+
+      const filter = condition.not
+        ? this._buildNegation(condition, resolveField)
+        : this._buildCondition(condition, resolveField);
+      segments[segments.length - 1].push(filter);
     });
 
-    return filter;
+    if (segments.length === 0) {
+      return {};
+    }
+
+    if (segments.length === 1) {
+      return this._combineAnd(segments[0]);
+    }
+
+    return { $or: segments.map(segment => this._combineAnd(segment)) };
   }
 
   /**
@@ -71,7 +284,7 @@ class MongoAdapter {
     if (builder.fields.length > 0) {
       options.projection = {};
       builder.fields.forEach(field => {
-        options.projection[field] = 1;
+        options.projection[this._resolveField(builder, field)] = 1;
       });
     }
 
@@ -79,7 +292,7 @@ class MongoAdapter {
     if (Object.keys(builder.sorts).length > 0) {
       options.sort = {};
       Object.keys(builder.sorts).forEach(field => {
-        options.sort[field] = builder.sorts[field] === 'asc' ? 1 : -1;
+        options.sort[this._resolveField(builder, field)] = builder.sorts[field] === 'asc' ? 1 : -1;
       });
     }
 
@@ -95,44 +308,501 @@ class MongoAdapter {
     return options;
   }
 
+  /**
+   * Mengubah referensi field (dapat diawali alias tabel) menjadi path dokumen.
+   * Alias tabel utama dihapus ('u.name' → 'name'), sedangkan alias join
+   * dipertahankan karena dokumen hasil $lookup disimpan di field dengan nama alias
+   * ('o.total' → 'o.total')
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} field - Referensi field
+   * @returns {string} - Path dokumen
+   */
+  _resolveField(builder, field) {
+    const index = typeof field === 'string' ? field.indexOf('.') : -1;
+
+    if (index === -1) {
+      return field;
+    }
+
+    const prefix = field.slice(0, index);
+
+    if (prefix === builder.alias || prefix === builder.collection) {
+      return field.slice(index + 1);
+    }
+
+    return field;
+  }
+
+  /**
+   * Membuat fungsi resolver field untuk builder
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Function} - Resolver field
+   */
+  _fieldResolver(builder) {
+    return field => this._resolveField(builder, field);
+  }
+
+  /**
+   * Mengecek apakah kondisi merujuk ke field dari koleksi yang di-join
+   * @param {Array} conditions - Kondisi dari query builder
+   * @param {Array} aliases - Alias koleksi yang di-join
+   * @returns {boolean} - True jika ada kondisi yang merujuk ke join
+   */
+  _referencesJoin(conditions, aliases) {
+    return conditions.some(condition => {
+      if (condition.type === 'group') {
+        return this._referencesJoin(condition.conditions, aliases);
+      }
+      return aliases.some(alias => String(condition.field).startsWith(`${alias}.`));
+    });
+  }
+
+  /**
+   * Membangun stage $lookup dan $unwind untuk satu join
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} join - Definisi join dari query builder
+   * @returns {Array} - Stage pipeline
+   */
+  _buildJoinStages(builder, join) {
+    if (join.operator !== '=') {
+      throw new Error(`Join di MongoDB hanya mendukung operator "=", diberikan "${join.operator}"`);
+    }
+
+    const prefix = `${join.alias}.`;
+    let local;
+    let foreign;
+
+    if (String(join.second).startsWith(prefix)) {
+      local = join.first;
+      foreign = join.second;
+    } else if (String(join.first).startsWith(prefix)) {
+      local = join.second;
+      foreign = join.first;
+    } else {
+      throw new Error(`Kondisi join untuk "${join.table}" harus merujuk ke field dengan alias "${join.alias}"`);
+    }
+
+    return [
+      {
+        $lookup: {
+          from: join.collection,
+          localField: this._resolveField(builder, local),
+          foreignField: foreign.slice(prefix.length),
+          as: join.alias
+        }
+      },
+      {
+        // Inner join membuang dokumen tanpa pasangan, left join mempertahankannya
+        $unwind: { path: `$${join.alias}`, preserveNullAndEmptyArrays: join.type === 'left' }
+      }
+    ];
+  }
+
+  /**
+   * Membangun stage awal pipeline: $lookup untuk setiap join dan $match untuk kondisi.
+   * $match diletakkan sebelum $lookup jika kondisi hanya merujuk ke koleksi utama
+   * agar index tetap dapat digunakan
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Array} - Stage pipeline
+   */
+  _buildSourceStages(builder) {
+    const lookups = builder.joins.flatMap(join => this._buildJoinStages(builder, join));
+    const aliases = builder.joins.map(join => join.alias);
+
+    if (builder.conditions.length === 0) {
+      return lookups;
+    }
+
+    const match = { $match: this._buildFilter(builder.conditions, this._fieldResolver(builder)) };
+
+    return this._referencesJoin(builder.conditions, aliases)
+      ? [...lookups, match]
+      : [match, ...lookups];
+  }
+
+  /**
+   * Membangun stage untuk membentuk hasil join agar sama dengan SQL:
+   * field yang dipilih menjadi kolom datar, atau tanpa select() field dari
+   * koleksi yang di-join digabung ke dokumen utama
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Array} - Stage pipeline
+   */
+  _buildJoinShapeStages(builder) {
+    if (builder.fields.length > 0) {
+      const project = { _id: 0 };
+
+      builder.fields.forEach(expression => {
+        const { name, alias } = parseAlias(expression);
+        const path = this._resolveField(builder, name);
+        // $ifNull agar field dari left join tanpa pasangan bernilai null, sama seperti SQL
+        project[alias || name.split('.').pop()] = { $ifNull: [`$${path}`, null] };
+      });
+
+      return [{ $project: project }];
+    }
+
+    const aliases = builder.joins.map(join => join.alias);
+
+    return [
+      { $replaceRoot: { newRoot: { $mergeObjects: ['$$ROOT', ...aliases.map(alias => `$${alias}`)] } } },
+      { $project: Object.fromEntries(aliases.map(alias => [alias, 0])) }
+    ];
+  }
+
+  /**
+   * Membangun pipeline untuk query dengan join
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Array} - Pipeline agregasi
+   */
+  _buildJoinPipeline(builder) {
+    const pipeline = this._buildSourceStages(builder);
+    const options = this._buildOptions(builder);
+
+    if (options.sort) {
+      pipeline.push({ $sort: options.sort });
+    }
+
+    if (options.skip !== undefined) {
+      pipeline.push({ $skip: options.skip });
+    }
+
+    if (options.limit !== undefined) {
+      pipeline.push({ $limit: options.limit });
+    }
+
+    return pipeline.concat(this._buildJoinShapeStages(builder));
+  }
+
+  /**
+   * Mengkonversi fungsi agregat ke akumulator $group MongoDB
+   * @param {Object} aggregate - Agregat ({ alias, fn, field })
+   * @returns {Object} - Akumulator MongoDB
+   */
+  _buildAccumulator({ fn, field }, resolveField = name => name) {
+    field = field === '*' ? field : resolveField(field);
+
+    if (fn === 'count') {
+      // count(field) hanya menghitung nilai yang tidak null, sama seperti SQL
+      return field === '*'
+        ? { $sum: 1 }
+        : { $sum: { $cond: [{ $in: [{ $type: `$${field}` }, ['missing', 'null']] }, 0, 1] } };
+    }
+
+    return { [`$${fn}`]: `$${field}` };
+  }
+
+  /**
+   * Membangun pipeline agregasi MongoDB
+   * ($match → $group → $project → $match having → $sort/$skip/$limit)
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Array} aggregates - Daftar agregat ({ alias, fn, field })
+   * @returns {Array} - Pipeline agregasi
+   */
+  _buildAggregatePipeline(builder, aggregates) {
+    const pipeline = this._buildSourceStages(builder);
+    const resolveField = this._fieldResolver(builder);
+
+    // Field group disimpan di _id dengan kunci g0, g1, ... karena _id tidak boleh berisi titik
+    const group = {
+      _id: builder.groups.length > 0
+        ? Object.fromEntries(builder.groups.map((field, index) => [`g${index}`, `$${resolveField(field)}`]))
+        : null
+    };
+    const project = { _id: 0 };
+
+    // Seperti kolom SQL, field group yang diawali alias ditampilkan tanpa alias
+    builder.groups.forEach((field, index) => {
+      project[builder.joins.length > 0 ? field.split('.').pop() : resolveField(field)] = `$_id.g${index}`;
+    });
+
+    aggregates.forEach(aggregate => {
+      group[aggregate.alias] = this._buildAccumulator(aggregate, resolveField);
+      project[aggregate.alias] = 1;
+    });
+
+    pipeline.push({ $group: group }, { $project: project });
+
+    if (builder.havings.length > 0) {
+      pipeline.push({ $match: this._buildFilter(builder.havings) });
+    }
+
+    const options = this._buildOptions(builder);
+
+    if (options.sort) {
+      pipeline.push({ $sort: options.sort });
+    }
+
+    if (options.skip !== undefined) {
+      pipeline.push({ $skip: options.skip });
+    }
+
+    if (options.limit !== undefined) {
+      pipeline.push({ $limit: options.limit });
+    }
+
+    return pipeline;
+  }
+
+  /**
+   * Memastikan operasi tulis tidak menggunakan join
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} operation - Nama operasi
+   */
+  _assertNoJoins(builder, operation) {
+    if (builder.joins.length > 0) {
+      throw new Error(`${operation}() dengan join tidak didukung di MongoDB`);
+    }
+  }
+
+  /**
+   * Menambahkan session transaksi ke opsi operasi MongoDB
+   * @param {Object} options - Opsi operasi
+   * @returns {Object} - Opsi dengan session jika berada di dalam transaksi
+   */
+  _withSession(options = {}) {
+    return this.session ? { ...options, session: this.session } : options;
+  }
+
+  /**
+   * Membuat opsi untuk operasi baca: session transaksi dan read preference.
+   * Read preference tidak digunakan di dalam transaksi atau jika builder meminta primary
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} options - Opsi operasi
+   * @returns {Object} - Opsi operasi baca
+   */
+  _readOptions(builder, options = {}) {
+    if (this.session || !this.readPreference || builder.forcePrimary) {
+      return this._withSession(options);
+    }
+
+    return { ...options, readPreference: this.readPreference };
+  }
+
   /**
    * Mendapatkan koleksi MongoDB
    * @param {string} collectionName - Nama koleksi
    * @returns {Object} - Koleksi MongoDB
    */
   _getCollection(collectionName) {
-    const db = this.fastify.mongoose.connection.db;
+    const db = this.connection.db;
     return db.collection(collectionName);
   }
 
+  /**
+   * Membuat deskripsi operasi MongoDB (method koleksi beserta filter, opsi atau pipeline).
+   * Digunakan untuk eksekusi dan describe(), sehingga query yang dicatat sama dengan query yang dijalankan.
+   * Pipeline agregasi digunakan untuk baca jika ada join atau field dengan alias ('email as contact'),
+   * karena projection find() tidak dapat mengganti nama field
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} operation - Operasi (get, stream, count, aggregate, distinct, insert, upsert, update, delete)
+   * @param {any} payload - Data insert, { rows, conflictOn, update } untuk upsert, { data, operations } untuk update,
+   *   field distinct atau daftar agregat
+   * @returns {Object} - { collection, method, filter, options, pipeline, update, field, documents, operations }
+   */
+  _operationQuery(builder, operation, payload) {
+    const collection = builder.collection;
+    const filter = () => this._buildFilter(builder.conditions, this._fieldResolver(builder));
+    const joined = builder.joins.length > 0;
+
+    switch (operation) {
+      case 'get':
+      case 'stream':
+        if (joined || builder.fields.some(field => parseAlias(field).alias)) {
+          return { collection, method: 'aggregate', pipeline: this._buildJoinPipeline(builder) };
+        }
+        return { collection, method: 'find', filter: filter(), options: this._buildOptions(builder) };
+      case 'count':
+        if (joined) {
+          return { collection, method: 'aggregate', pipeline: [...this._buildSourceStages(builder), { $count: 'count' }] };
+        }
+        return { collection, method: 'countDocuments', filter: filter() };
+      case 'aggregate':
+        return { collection, method: 'aggregate', pipeline: this._buildAggregatePipeline(builder, payload) };
+      case 'distinct':
+        if (joined) {
+          return {
+            collection,
+            method: 'aggregate',
+            pipeline: [...this._buildSourceStages(builder), { $group: { _id: `$${this._resolveField(builder, payload)}` } }]
+          };
+        }
+        return { collection, method: 'distinct', field: this._resolveField(builder, payload), filter: filter() };
+      case 'insert':
+        return { collection, method: Array.isArray(payload) ? 'insertMany' : 'insertOne', documents: payload };
+      case 'upsert':
+        return {
+          collection,
+          method: 'bulkWrite',
+          operations: payload.rows.map(row => ({
+            updateOne: { filter: this._pick(row, payload.conflictOn), update: this._upsertUpdate(row, payload), upsert: true }
+          }))
+        };
+      case 'update':
+        this._assertNoJoins(builder, 'update');
+        return { collection, method: 'updateMany', filter: filter(), update: this._updateDocument(payload.data, payload.operations) };
+      case 'delete':
+        this._assertNoJoins(builder, 'delete');
+        return { collection, method: 'deleteMany', filter: filter() };
+      default:
+        throw new Error(`Operasi "${operation}" tidak dikenal`);
+    }
+  }
+
+  /**
+   * Mengambil sebagian field dari dokumen
+   * @param {Object} row - Dokumen
+   * @param {Array} fields - Daftar field
+   * @returns {Object} - Dokumen dengan field yang dipilih
+   */
+  _pick(row, fields) {
+    return Object.fromEntries(fields.filter(field => row[field] !== undefined).map(field => [field, row[field]]));
+  }
+
+  /**
+   * Membuat dokumen update dengan $set dan $unset.
+   * Increment menggunakan pipeline update dengan $ifNull, karena $inc gagal pada field bernilai null
+   * sedangkan SQL dan engine memory menganggap null sebagai 0
+   * @param {Object} data - Data yang akan diperbarui
+   * @param {Object} operations - { increment: { field: jumlah }, unset: [field] }
+   * @returns {Object|Array} - Dokumen update atau pipeline update MongoDB
+   */
+  _updateDocument(data, operations = {}) {
+    const { increment = {}, unset = [] } = operations;
+
+    if (Object.keys(increment).length > 0) {
+      // Nilai data dibungkus $literal agar string seperti '$field' tidak dibaca sebagai ekspresi
+      const set = Object.fromEntries(Object.keys(data).map(field => [field, { $literal: data[field] }]));
+      Object.keys(increment).forEach(field => {
+        set[field] = { $add: [{ $ifNull: [`$${field}`, 0] }, increment[field]] };
+      });
+      return unset.length > 0 ? [{ $set: set }, { $unset: unset }] : [{ $set: set }];
+    }
+
+    const update = {};
+    if (Object.keys(data).length > 0) {
+      update.$set = data;
+    }
+    if (unset.length > 0) {
+      update.$unset = Object.fromEntries(unset.map(field => [field, '']));
+    }
+
+    return Object.keys(update).length > 0 ? update : { $set: data };
+  }
+
+  /**
+   * Membuat dokumen update untuk upsert: field update dengan $set,
+   * field lain hanya diisi saat dokumen baru dibuat ($setOnInsert)
+   * @param {Object} row - Data upsert
+   * @param {Object} options - { conflictOn, update }
+   * @returns {Object} - Dokumen update MongoDB
+   */
+  _upsertUpdate(row, { conflictOn, update }) {
+    const inserted = Object.keys(row).filter(field => !conflictOn.includes(field) && !update.includes(field));
+    const document = {};
+
+    if (update.length > 0) {
+      document.$set = this._pick(row, update);
+    }
+    // Field konflik diisi dari filter, $setOnInsert tidak boleh kosong
+    document.$setOnInsert = inserted.length > 0 ? this._pick(row, inserted) : this._pick(row, conflictOn);
+
+    return document;
+  }
+
+  /**
+   * Mendapatkan operasi MongoDB yang dijalankan (method, filter, opsi atau pipeline)
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} operation - Operasi (default: get)
+   * @param {any} payload - Payload operasi (lihat _operationQuery())
+   * @returns {Object} - Deskripsi operasi
+   */
+  describe(builder, operation = 'get', payload) {
+    return this._operationQuery(builder, operation, payload);
+  }
+
+  /**
+   * Menjalankan cursor.explain() untuk query baca.
+   * Rencana yang ditolak (rejectedPlans) tidak ikut diringkas
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Promise<Object>} - { engine, query, indexes, fullScan, plan }
+   */
+  async explain(builder) {
+    const query = this.describe(builder, 'get');
+    const plan = await this._cursor(builder).explain('queryPlanner');
+    const indexes = [];
+    let fullScan = false;
+
+    const visit = node => {
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+      if (node.indexName && /SCAN$/.test(node.stage || '')) {
+        indexes.push(node.indexName);
+      }
+      if (node.stage === 'COLLSCAN') {
+        fullScan = true;
+      }
+      Object.keys(node).filter(key => key !== 'rejectedPlans').forEach(key => visit(node[key]));
+    };
+    visit(plan);
+
+    return { engine: builder.dbEngine, query, indexes: [...new Set(indexes)], fullScan, plan };
+  }
+
   /**
    * Mengambil data
    * @param {QueryBuilder} builder - Instance query builder
    * @returns {Promise<Array>} - Hasil query
    */
   async get(builder) {
-    const collection = this._getCollection(builder.collection);
-    const filter = this._buildFilter(builder.conditions);
-    const options = this._buildOptions(builder);
+    return await this._cursor(builder).toArray();
+  }
+
+  /**
+   * Mengambil data sebagai stream dokumen dari cursor MongoDB
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Readable} - Stream object mode
+   */
+  stream(builder) {
+    return this._cursor(builder).stream();
+  }
+
+  /**
+   * Membuat cursor MongoDB untuk operasi baca
+   * @param {QueryBuilder} builder - Instance query builder
+   * @returns {Object} - FindCursor atau AggregationCursor
+   */
+  _cursor(builder) {
+    const query = this._operationQuery(builder, 'get');
+    const collection = this._getCollection(query.collection);
+
+    if (query.method === 'aggregate') {
+      return collection.aggregate(query.pipeline, this._readOptions(builder));
+    }
 
-    return await collection.find(filter, options).toArray();
+    return collection.find(query.filter, this._readOptions(builder, query.options));
   }
 
   /**
    * Menyisipkan data baru
    * @param {QueryBuilder} builder - Instance query builder
    * @param {Object|Array} data - Data yang akan disisipkan
-   * @returns {Promise<Object|Array>} - Data yang disisipkan dengan ID
+   * @returns {Promise<Array>} - Dokumen yang disisipkan dengan _id dan id
    */
   async insert(builder, data) {
-    const collection = this._getCollection(builder.collection);
+    const query = this._operationQuery(builder, 'insert', data);
+    const collection = this._getCollection(query.collection);
     
-    if (Array.isArray(data)) {
-      const result = await collection.insertMany(data);
-      return result.ops || data;
+    if (query.method === 'insertMany') {
+      const result = await collection.insertMany(data, this._withSession());
+      return data.map((doc, index) => this._withId({ ...doc, _id: doc._id ?? result.insertedIds[index] }));
     } else {
-      const result = await collection.insertOne(data);
-      return result.ops?.[0] || { ...data, _id: result.insertedId };
+      const result = await collection.insertOne(data, this._withSession());
+      return [this._withId({ ...data, _id: data._id ?? result.insertedId })];
     }
   }
 
@@ -140,26 +810,55 @@ class MongoAdapter {
    * Memperbarui data
    * @param {QueryBuilder} builder - Instance query builder
    * @param {Object} data - Data yang akan diperbarui
+   * @param {Object} operations - { increment: { field: jumlah }, unset: [field] } (opsional)
    * @returns {Promise<number>} - Jumlah dokumen yang diperbarui
    */
-  async update(builder, data) {
-    const collection = this._getCollection(builder.collection);
-    const filter = this._buildFilter(builder.conditions);
+  async update(builder, data, operations = {}) {
+    const query = this._operationQuery(builder, 'update', { data, operations });
+    const collection = this._getCollection(query.collection);
     
-    const result = await collection.updateMany(filter, { $set: data });
+    const result = await collection.updateMany(query.filter, query.update, this._withSession());
     return result.modifiedCount || 0;
   }
 
+  /**
+   * Menyisipkan dokumen atau memperbarui dokumen yang sudah ada berdasarkan field konflik
+   * (bulkWrite dengan updateOne upsert), lalu membaca ulang dokumen hasil upsert sesuai urutan data input
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Array} rows - Data yang akan disisipkan
+   * @param {Object} options - { conflictOn, update }: field konflik dan field yang diperbarui jika dokumen sudah ada
+   * @returns {Promise<Array>} - Dokumen hasil upsert
+   */
+  async upsert(builder, rows, options) {
+    const query = this._operationQuery(builder, 'upsert', { rows, ...options });
+    const collection = this._getCollection(query.collection);
+
+    await collection.bulkWrite(query.operations, this._withSession({ ordered: true }));
+
+    const filters = query.operations.map(operation => operation.updateOne.filter);
+    const docs = await collection.find({ $or: filters }, this._withSession()).toArray();
+    return orderByInput(docs, rows, options.conflictOn).map(doc => this._withId(doc));
+  }
+
+  /**
+   * Menambahkan field id (sama dengan _id) agar hasil insert seragam dengan SQL
+   * @param {Object} doc - Dokumen
+   * @returns {Object} - Dokumen dengan field id
+   */
+  _withId(doc) {
+    return doc.id !== undefined || doc._id === undefined ? doc : { ...doc, id: doc._id };
+  }
+
   /**
    * Menghapus data
    * @param {QueryBuilder} builder - Instance query builder
    * @returns {Promise<number>} - Jumlah dokumen yang dihapus
    */
   async delete(builder) {
-    const collection = this._getCollection(builder.collection);
-    const filter = this._buildFilter(builder.conditions);
+    const query = this._operationQuery(builder, 'delete');
+    const collection = this._getCollection(query.collection);
     
-    const result = await collection.deleteMany(filter);
+    const result = await collection.deleteMany(query.filter, this._withSession());
     return result.deletedCount || 0;
   }
 
@@ -169,11 +868,96 @@ class MongoAdapter {
    * @returns {Promise<number>} - Jumlah data
    */
   async count(builder) {
-    const collection = this._getCollection(builder.collection);
-    const filter = this._buildFilter(builder.conditions);
+    const query = this._operationQuery(builder, 'count');
+    const collection = this._getCollection(query.collection);
+
+    if (query.method === 'aggregate') {
+      const result = await collection.aggregate(query.pipeline, this._readOptions(builder)).toArray();
+      return result[0]?.count || 0;
+    }
     
-    return await collection.countDocuments(filter);
+    return await collection.countDocuments(query.filter, this._readOptions(builder));
+  }
+
+  /**
+   * Menjalankan fungsi agregat melalui aggregation pipeline
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Array} aggregates - Daftar agregat ({ alias, fn, field })
+   * @returns {Promise<Array>} - Baris hasil agregasi
+   */
+  async aggregate(builder, aggregates) {
+    const query = this._operationQuery(builder, 'aggregate', aggregates);
+    const collection = this._getCollection(query.collection);
+
+    return await collection.aggregate(query.pipeline, this._readOptions(builder)).toArray();
+  }
+
+  /**
+   * Mengambil nilai unik dari sebuah field
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} field - Field yang akan diambil nilai uniknya
+   * @returns {Promise<Array>} - Daftar nilai unik
+   */
+  async distinct(builder, field) {
+    const query = this._operationQuery(builder, 'distinct', field);
+    const collection = this._getCollection(query.collection);
+
+    if (query.method === 'aggregate') {
+      const result = await collection.aggregate(query.pipeline, this._readOptions(builder)).toArray();
+      return result.map(row => row._id);
+    }
+
+    return await collection.distinct(query.field, query.filter, this._readOptions(builder));
+  }
+
+  /**
+   * Menjalankan callback di dalam transaksi MongoDB.
+   * Commit jika callback berhasil, abort jika callback melempar error.
+   * MongoDB tidak mendukung savepoint, sehingga transaksi bersarang
+   * menggunakan session yang sama dengan transaksi induk
+   * @param {Function} callback - Fungsi yang menerima ClientSession
+   * @returns {Promise<any>} - Hasil callback
+   */
+  async transaction(callback) {
+    if (this.session) {
+      return await callback(this.session);
+    }
+
+    const session = await this.connection.startSession();
+
+    try {
+      session.startTransaction();
+      const result = await callback(session);
+      await session.commitTransaction();
+      return result;
+    } catch (error) {
+      if (session.inTransaction()) {
+        await session.abortTransaction();
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
   }
 }
 
+/**
+ * Kemampuan adapter (join melalui $lookup)
+ */
+MongoAdapter.capabilities = {
+  joins: true,
+  aggregates: true,
+  transactions: true,
+  returning: false,
+  streaming: true,
+  explain: true,
+  upsert: true,
+  atomicUpdates: true
+};
+
+/**
+ * Opsi koneksi bernama, salah satunya wajib diisi
+ */
+MongoAdapter.connectionOptions = ['mongoose'];
+
 module.exports = MongoAdapter; 
\ No newline at end of file
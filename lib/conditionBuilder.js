@@ -0,0 +1,266 @@
+/**
+ * Condition Builder
+ * Kelas dasar untuk menyusun kondisi where, termasuk grup bersarang dan operator boolean
+ */
+
+/**
+ * Operator yang didukung oleh semua adapter
+ */
+const OPERATORS = [
+  '=', '!=', '<>', '>', '>=', '<', '<=',
+  'like', 'ilike', 'regex',
+  'in', 'not in',
+  'between', 'not between',
+  'null', 'not null',
+  'exists', 'not exists'
+];
+
+class ConditionBuilder {
+  constructor() {
+    this.conditions = [];
+  }
+
+  /**
+   * Menormalkan dan memvalidasi operator
+   * @param {string} operator - Operator perbandingan
+   * @returns {string} - Operator dalam huruf kecil
+   * @private
+   */
+  _normalizeOperator(operator) {
+    const normalized = typeof operator === 'string' ? operator.trim().toLowerCase() : operator;
+    if (!OPERATORS.includes(normalized)) {
+      throw new Error(`Operator "${operator}" tidak didukung. Operator yang tersedia: ${OPERATORS.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Menambahkan satu kondisi atau grup kondisi ke daftar kondisi
+   * @param {string} boolean - Penghubung dengan kondisi sebelumnya (and/or)
+   * @param {boolean} not - Apakah kondisi dinegasikan
+   * @param {string|object|Function} field - Field, objek kondisi atau callback grup
+   * @param {string} operator - Operator perbandingan (opsional)
+   * @param {any} value - Nilai untuk dibandingkan (opsional)
+   * @returns {ConditionBuilder} - Instance builder
+   * @private
+   */
+  _addWhere(boolean, not, field, operator, value) {
+    if (typeof field === 'function') {
+      // Format: where(q => q.where(...).orWhere(...))
+      const group = new ConditionBuilder();
+      field.call(group, group);
+      if (group.conditions.length > 0) {
+        this.conditions.push({
+          type: 'group',
+          boolean,
+          not,
+          conditions: group.conditions
+        });
+      }
+    } else if (typeof field === 'object') {
+      // Format: where({field1: value1, field2: value2})
+      // Beberapa field dalam satu objek selalu digabung dengan AND
+      const entries = Object.keys(field).map(key => this._comparison(key, '=', field[key], 'and', false));
+
+      if (boolean === 'and' && !not) {
+        this.conditions.push(...entries);
+      } else if (entries.length > 0) {
+        this.conditions.push({ type: 'group', boolean, not, conditions: entries });
+      }
+    } else if (value === undefined) {
+      // Format: where(field, value)
+      this.conditions.push(this._comparison(field, '=', operator, boolean, not));
+    } else {
+      // Format: where(field, operator, value)
+      this.conditions.push(this._comparison(field, this._normalizeOperator(operator), value, boolean, not));
+    }
+    return this;
+  }
+
+  /**
+   * Membuat kondisi perbandingan. Perbandingan =, != dan <> dengan null diubah menjadi
+   * null / not null, karena = NULL di SQL tidak pernah cocok sedangkan di MongoDB cocok dengan null
+   * @param {string} field - Field yang dibandingkan
+   * @param {string} operator - Operator yang sudah dinormalkan
+   * @param {any} value - Nilai untuk dibandingkan
+   * @param {string} boolean - Penghubung dengan kondisi sebelumnya (and/or)
+   * @param {boolean} not - Apakah kondisi dinegasikan
+   * @returns {Object} - Kondisi
+   * @private
+   */
+  _comparison(field, operator, value, boolean, not) {
+    if (value === null && ['=', '!=', '<>'].includes(operator)) {
+      return { field, operator: operator === '=' ? 'null' : 'not null', value: null, boolean, not };
+    }
+    return { field, operator, value, boolean, not };
+  }
+
+  /**
+   * Menambahkan kondisi where
+   * @param {string|object|Function} field - Field, objek kondisi atau callback grup
+   * @param {string} operator - Operator perbandingan (opsional)
+   * @param {any} value - Nilai untuk dibandingkan (opsional)
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  where(field, operator, value) {
+    return this._addWhere('and', false, field, operator, value);
+  }
+
+  /**
+   * Menambahkan kondisi where yang digabung dengan OR
+   * @param {string|object|Function} field - Field, objek kondisi atau callback grup
+   * @param {string} operator - Operator perbandingan (opsional)
+   * @param {any} value - Nilai untuk dibandingkan (opsional)
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  orWhere(field, operator, value) {
+    return this._addWhere('or', false, field, operator, value);
+  }
+
+  /**
+   * Menambahkan kondisi where yang dinegasikan (NOT)
+   * @param {string|object|Function} field - Field, objek kondisi atau callback grup
+   * @param {string} operator - Operator perbandingan (opsional)
+   * @param {any} value - Nilai untuk dibandingkan (opsional)
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  whereNot(field, operator, value) {
+    return this._addWhere('and', true, field, operator, value);
+  }
+
+  /**
+   * Menambahkan kondisi where yang dinegasikan dan digabung dengan OR
+   * @param {string|object|Function} field - Field, objek kondisi atau callback grup
+   * @param {string} operator - Operator perbandingan (opsional)
+   * @param {any} value - Nilai untuk dibandingkan (opsional)
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  orWhereNot(field, operator, value) {
+    return this._addWhere('or', true, field, operator, value);
+  }
+
+  /**
+   * Menambahkan kondisi where dengan operator IN
+   * @param {string} field - Field yang akan dicek
+   * @param {Array} values - Array nilai yang akan dicek
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  whereIn(field, values) {
+    return this._addWhere('and', false, field, 'in', values);
+  }
+
+  /**
+   * Menambahkan kondisi where dengan operator NOT IN
+   * @param {string} field - Field yang akan dicek
+   * @param {Array} values - Array nilai yang akan dicek
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  whereNotIn(field, values) {
+    return this._addWhere('and', false, field, 'not in', values);
+  }
+
+  /**
+   * Menambahkan kondisi where dengan operator LIKE
+   * @param {string} field - Field yang akan dicek
+   * @param {string} value - Nilai yang akan dicari
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  whereLike(field, value) {
+    return this._addWhere('and', false, field, 'like', value);
+  }
+
+  /**
+   * Menambahkan kondisi where dengan operator LIKE tanpa membedakan huruf besar/kecil
+   * @param {string} field - Field yang akan dicek
+   * @param {string} value - Nilai yang akan dicari
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  whereILike(field, value) {
+    return this._addWhere('and', false, field, 'ilike', value);
+  }
+
+  /**
+   * Menambahkan kondisi where dengan regular expression
+   * @param {string} field - Field yang akan dicek
+   * @param {string|RegExp} pattern - Pola regular expression
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  whereRegex(field, pattern) {
+    return this._addWhere('and', false, field, 'regex', pattern);
+  }
+
+  /**
+   * Menambahkan kondisi where dengan operator IS NULL
+   * @param {string} field - Field yang akan dicek
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  whereNull(field) {
+    return this._addWhere('and', false, field, 'null', null);
+  }
+
+  /**
+   * Menambahkan kondisi where dengan operator IS NOT NULL
+   * @param {string} field - Field yang akan dicek
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  whereNotNull(field) {
+    return this._addWhere('and', false, field, 'not null', null);
+  }
+
+  /**
+   * Menambahkan kondisi where dengan operator BETWEEN (inklusif)
+   * @param {string} field - Field yang akan dicek
+   * @param {Array} range - Batas bawah dan atas [min, max]
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  whereBetween(field, range) {
+    this._assertRange(range);
+    return this._addWhere('and', false, field, 'between', range);
+  }
+
+  /**
+   * Menambahkan kondisi where dengan operator NOT BETWEEN
+   * @param {string} field - Field yang akan dicek
+   * @param {Array} range - Batas bawah dan atas [min, max]
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  whereNotBetween(field, range) {
+    this._assertRange(range);
+    return this._addWhere('and', false, field, 'not between', range);
+  }
+
+  /**
+   * Menambahkan kondisi bahwa field ada
+   * (MongoDB: $exists, SQL: IS NOT NULL)
+   * @param {string} field - Field yang akan dicek
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  whereExists(field) {
+    return this._addWhere('and', false, field, 'exists', true);
+  }
+
+  /**
+   * Menambahkan kondisi bahwa field tidak ada
+   * (MongoDB: $exists false, SQL: IS NULL)
+   * @param {string} field - Field yang akan dicek
+   * @returns {ConditionBuilder} - Instance builder
+   */
+  whereNotExists(field) {
+    return this._addWhere('and', false, field, 'not exists', false);
+  }
+
+  /**
+   * Memastikan rentang berupa array dua elemen
+   * @param {Array} range - Rentang nilai
+   * @private
+   */
+  _assertRange(range) {
+    if (!Array.isArray(range) || range.length !== 2) {
+      throw new Error('Rentang harus berupa array dengan dua nilai [min, max]');
+    }
+  }
+}
+
+ConditionBuilder.OPERATORS = OPERATORS;
+
+module.exports = ConditionBuilder;
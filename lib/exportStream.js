@@ -0,0 +1,129 @@
+/**
+ * Export Stream
+ * Transform stream yang mengubah baris hasil query menjadi CSV, NDJSON atau JSON
+ */
+
+const { Transform } = require('stream');
+const { parseAlias } = require('./utils');
+
+/**
+ * Content-Type per format
+ */
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+class ExportStream extends Transform {
+  /**
+   * @param {Object} options - Opsi export
+   * @param {string} options.format - Format output (csv, ndjson, json)
+   * @param {Array} options.fields - Field dari select() untuk header CSV (opsional)
+   */
+  constructor({ format = 'json', fields = [] } = {}) {
+    if (!CONTENT_TYPES[format]) {
+      throw new Error(`Format "${format}" tidak didukung. Format yang tersedia: ${Object.keys(CONTENT_TYPES).join(', ')}`);
+    }
+
+    super({ writableObjectMode: true });
+    this.format = format;
+    this.columns = ExportStream.columns(fields);
+    this.count = 0;
+  }
+
+  /**
+   * Mendapatkan nama kolom hasil dari field select() (alias atau nama tanpa alias tabel).
+   * Mengembalikan null jika kolom tidak dapat ditentukan (tanpa select() atau dengan '*')
+   * @param {Array} fields - Field dari select()
+   * @returns {Array|null} - Nama kolom
+   */
+  static columns(fields) {
+    if (fields.length === 0 || fields.some(field => String(field).endsWith('*'))) {
+      return null;
+    }
+
+    return fields.map(field => {
+      const { name, alias } = parseAlias(field);
+      return alias || name.split('.').pop();
+    });
+  }
+
+  /**
+   * Mengubah nilai menjadi sel CSV (RFC 4180): nilai dengan koma, kutip atau
+   * baris baru dibungkus kutip ganda dan kutip di dalamnya digandakan
+   * @param {any} value - Nilai sel
+   * @returns {string} - Sel CSV
+   */
+  static csvCell(value) {
+    let text;
+
+    if (value === null || value === undefined) {
+      text = '';
+    } else if (value instanceof Date) {
+      text = value.toISOString();
+    } else if (typeof value === 'object' && typeof value.toHexString !== 'function') {
+      text = JSON.stringify(value);
+    } else {
+      text = String(value);
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Membuat satu baris CSV
+   * @param {Array} values - Nilai sel
+   * @returns {string} - Baris CSV
+   */
+  _csvLine(values) {
+    return `${values.map(value => ExportStream.csvCell(value)).join(',')}\r\n`;
+  }
+
+  /**
+   * Menulis satu baris hasil query ke output
+   * @param {Object} row - Baris hasil query
+   * @param {string} encoding - Tidak digunakan (object mode)
+   * @param {Function} callback - Callback transform
+   */
+  _transform(row, encoding, callback) {
+    let chunk = '';
+
+    switch (this.format) {
+      case 'csv':
+        if (this.count === 0) {
+          // Tanpa select() header diambil dari baris pertama
+          this.columns = this.columns || Object.keys(row);
+          chunk += this._csvLine(this.columns);
+        }
+        chunk += this._csvLine(this.columns.map(column => row[column]));
+        break;
+      case 'ndjson':
+        chunk = `${JSON.stringify(row)}\n`;
+        break;
+      default:
+        chunk = `${this.count === 0 ? '[' : ','}${JSON.stringify(row)}`;
+        break;
+    }
+
+    this.count++;
+    callback(null, chunk);
+  }
+
+  /**
+   * Menutup output (header CSV atau array JSON kosong jika tidak ada baris)
+   * @param {Function} callback - Callback flush
+   */
+  _flush(callback) {
+    if (this.format === 'json') {
+      this.push(this.count === 0 ? '[]' : ']');
+    } else if (this.format === 'csv' && this.count === 0 && this.columns) {
+      this.push(this._csvLine(this.columns));
+    }
+    callback();
+  }
+}
+
+ExportStream.CONTENT_TYPES = CONTENT_TYPES;
+
+module.exports = ExportStream;
@@ -0,0 +1,149 @@
+/**
+ * LRU Cache
+ * Store cache default untuk cache() query builder: menyimpan hasil query di memori proses
+ * dengan batas jumlah entri (least recently used), TTL dan invalidasi berdasarkan tag
+ */
+
+/**
+ * Method yang wajib diimplementasikan store cache kustom
+ */
+const STORE_METHODS = ['get', 'set', 'invalidateTags'];
+
+/**
+ * Menyalin hasil query agar perubahan pada hasil tidak mengubah isi cache.
+ * Date disalin, objek dengan prototype lain (misalnya ObjectId) dipakai apa adanya
+ * @param {any} value - Nilai
+ * @returns {any} - Salinan nilai
+ */
+function clone(value) {
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.keys(value).map(key => [key, clone(value[key])]));
+  }
+  return value;
+}
+
+class LruCache {
+  /**
+   * @param {Object} options - Opsi cache
+   * @param {number} options.max - Jumlah entri maksimum (default: 1000)
+   */
+  constructor({ max = 1000 } = {}) {
+    if (!Number.isInteger(max) || max < 1) {
+      throw new Error('Opsi max cache harus berupa bilangan bulat positif');
+    }
+
+    this.max = max;
+    this.entries = new Map();
+    this.tags = new Map();
+  }
+
+  /**
+   * Memvalidasi store cache kustom
+   * @param {Object} store - Store cache
+   */
+  static validateStore(store) {
+    const missing = STORE_METHODS.filter(method => typeof (store && store[method]) !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Store cache harus mengimplementasikan method ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Mendapatkan nilai dari cache
+   * @param {string} key - Key cache
+   * @returns {any} - Nilai, atau undefined jika tidak ada atau sudah kedaluwarsa
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return undefined;
+    }
+
+    // Entri yang baru dibaca dipindah ke posisi paling akhir (paling baru digunakan)
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return clone(entry.value);
+  }
+
+  /**
+   * Menyimpan nilai ke cache
+   * @param {string} key - Key cache
+   * @param {any} value - Nilai
+   * @param {Object} options - Opsi entri
+   * @param {number} options.ttl - Masa berlaku dalam detik (opsional, tanpa batas jika tidak diberikan)
+   * @param {Array} options.tags - Tag untuk invalidasi (opsional)
+   */
+  set(key, value, { ttl = null, tags = [] } = {}) {
+    this.delete(key);
+
+    this.entries.set(key, {
+      value: clone(value),
+      expiresAt: ttl == null ? Infinity : Date.now() + ttl * 1000,
+      tags
+    });
+    tags.forEach(tag => {
+      if (!this.tags.has(tag)) {
+        this.tags.set(tag, new Set());
+      }
+      this.tags.get(tag).add(key);
+    });
+
+    // Map menyimpan urutan sisip, sehingga key pertama adalah yang paling lama tidak digunakan
+    while (this.entries.size > this.max) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Menghapus semua entri yang memiliki salah satu tag
+   * @param {Array} tags - Daftar tag
+   */
+  invalidateTags(tags) {
+    tags.forEach(tag => {
+      [...(this.tags.get(tag) || [])].forEach(key => this.delete(key));
+    });
+  }
+
+  /**
+   * Menghapus satu entri
+   * @param {string} key - Key cache
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return;
+    }
+
+    this.entries.delete(key);
+    entry.tags.forEach(tag => {
+      const keys = this.tags.get(tag);
+      keys.delete(key);
+      if (keys.size === 0) {
+        this.tags.delete(tag);
+      }
+    });
+  }
+
+  /**
+   * Mengosongkan cache
+   */
+  clear() {
+    this.entries.clear();
+    this.tags.clear();
+  }
+}
+
+LruCache.STORE_METHODS = STORE_METHODS;
+
+module.exports = LruCache;
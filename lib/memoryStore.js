@@ -0,0 +1,111 @@
+/**
+ * Memory Store
+ * Penyimpanan data di memori untuk engine 'memory', berisi array baris per tabel
+ */
+
+class MemoryStore {
+  /**
+   * @param {Object} data - Data awal per tabel (opsional), misal { users: [...] }
+   */
+  constructor(data = {}) {
+    this.tables = {};
+    this.sequences = {};
+    this.seed(data);
+  }
+
+  /**
+   * Mendapatkan array baris sebuah tabel (dibuat kosong jika belum ada)
+   * @param {string} name - Nama tabel atau koleksi
+   * @returns {Array} - Baris tabel
+   */
+  table(name) {
+    if (!this.tables[name]) {
+      this.tables[name] = [];
+    }
+    return this.tables[name];
+  }
+
+  /**
+   * Mengisi tabel dengan data, menggantikan isi sebelumnya
+   * @param {string|Object} table - Nama tabel, atau objek data per tabel
+   * @param {Array} rows - Baris data (jika table berupa nama)
+   * @returns {MemoryStore} - Instance store
+   */
+  seed(table, rows = []) {
+    if (typeof table === 'object') {
+      Object.keys(table).forEach(name => this.seed(name, table[name]));
+      return this;
+    }
+
+    this.tables[table] = [];
+    this.sequences[table] = 0;
+    rows.forEach(row => this.add(table, row));
+    return this;
+  }
+
+  /**
+   * Mengosongkan satu tabel atau seluruh store
+   * @param {string} table - Nama tabel (opsional, default semua tabel)
+   * @returns {MemoryStore} - Instance store
+   */
+  reset(table) {
+    if (table) {
+      delete this.tables[table];
+      delete this.sequences[table];
+    } else {
+      this.tables = {};
+      this.sequences = {};
+    }
+    return this;
+  }
+
+  /**
+   * Mendapatkan salinan semua baris sebuah tabel
+   * @param {string} table - Nama tabel
+   * @returns {Array} - Salinan baris
+   */
+  all(table) {
+    return structuredClone(this.tables[table] || []);
+  }
+
+  /**
+   * Menambahkan satu baris. Field id diisi otomatis (auto increment) jika kosong
+   * @param {string} table - Nama tabel
+   * @param {Object} data - Data baris
+   * @returns {Object} - Baris yang disimpan
+   */
+  add(table, data) {
+    const row = structuredClone(data);
+    const sequence = this.sequences[table] || 0;
+
+    if (row.id === undefined || row.id === null) {
+      row.id = sequence + 1;
+    }
+
+    if (typeof row.id === 'number' && row.id > sequence) {
+      this.sequences[table] = row.id;
+    }
+
+    this.table(table).push(row);
+    return row;
+  }
+
+  /**
+   * Membuat salinan seluruh isi store (digunakan untuk rollback transaksi)
+   * @returns {Object} - Snapshot store
+   */
+  snapshot() {
+    return structuredClone({ tables: this.tables, sequences: this.sequences });
+  }
+
+  /**
+   * Mengembalikan isi store dari snapshot
+   * @param {Object} snapshot - Snapshot dari snapshot()
+   */
+  restore(snapshot) {
+    this.tables = snapshot.tables;
+    this.sequences = snapshot.sequences;
+  }
+}
+
+module.exports = MemoryStore;
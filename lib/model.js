@@ -0,0 +1,331 @@
+/**
+ * Model
+ * Definisi field sebuah tabel atau koleksi: tipe, required, default, enum, read-only dan hidden.
+ * Digunakan untuk memvalidasi dan mengubah tipe data insert/update, menyembunyikan field
+ * dari hasil query dan membuat JSON Schema untuk validasi request Fastify
+ */
+
+/**
+ * Tipe field yang didukung beserta JSON Schema dan label untuk pesan error
+ */
+const TYPES = {
+  string: { schema: { type: 'string' }, label: 'teks' },
+  number: { schema: { type: 'number' }, label: 'angka' },
+  integer: { schema: { type: 'integer' }, label: 'bilangan bulat' },
+  boolean: { schema: { type: 'boolean' }, label: 'true atau false' },
+  date: { schema: { type: 'string', format: 'date-time' }, label: 'tanggal' },
+  object: { schema: { type: 'object' }, label: 'objek' },
+  array: { schema: { type: 'array' }, label: 'array' },
+  objectId: { schema: { type: 'string', pattern: '^[0-9a-fA-F]{24}$' }, label: 'ObjectId' }
+};
+
+/**
+ * Jenis JSON Schema yang dapat dibuat dengan schema()
+ */
+const SCHEMA_KINDS = ['create', 'update', 'response'];
+
+/**
+ * Cache model per objek definisi field, sehingga definisi yang sama tidak divalidasi ulang
+ */
+const cache = new WeakMap();
+
+class Model {
+  /**
+   * @param {string} table - Nama tabel atau koleksi
+   * @param {Object} fields - Definisi field, misal { name: { type: 'string', required: true } }
+   *   atau singkatan { name: 'string' }
+   */
+  constructor(table, fields) {
+    this.table = table;
+    this.fields = this._normalizeFields(fields || {});
+    this.hidden = Object.keys(this.fields).filter(name => this.fields[name].hidden);
+  }
+
+  /**
+   * Mendapatkan model (dari cache) untuk definisi field sebuah tabel
+   * @param {string} table - Nama tabel atau koleksi
+   * @param {Object} fields - Definisi field
+   * @returns {Model} - Instance model
+   */
+  static for(table, fields) {
+    if (!cache.has(fields)) {
+      cache.set(fields, new Model(table, fields));
+    }
+    return cache.get(fields);
+  }
+
+  /**
+   * Mendapatkan model dari konfigurasi tabel (opsi tables[table].fields)
+   * @param {Object} options - Opsi query builder
+   * @param {string} table - Nama tabel atau koleksi
+   * @returns {Model|null} - Instance model atau null jika tabel tidak memiliki definisi field
+   */
+  static fromOptions(options, table) {
+    const config = (options.tables || {})[table];
+    return config && config.fields ? Model.for(table, config.fields) : null;
+  }
+
+  /**
+   * Membuat error validasi dengan status HTTP 400.
+   * Daftar kesalahan per field tersedia di error.errors
+   * @param {string} table - Nama tabel atau koleksi
+   * @param {Array} errors - Kesalahan ({ field, message })
+   * @returns {Error} - Error dengan statusCode 400
+   */
+  static validationError(table, errors) {
+    const error = new Error(`Data "${table}" tidak valid: ${errors.map(item => `${item.field} ${item.message}`).join(', ')}`);
+    error.statusCode = 400;
+    error.errors = errors;
+    return error;
+  }
+
+  /**
+   * Menormalkan dan memvalidasi definisi field
+   * @param {Object} fields - Definisi field
+   * @returns {Object} - Definisi field dalam bentuk objek
+   */
+  _normalizeFields(fields) {
+    const normalized = {};
+
+    Object.keys(fields).forEach(name => {
+      const field = typeof fields[name] === 'string' ? { type: fields[name] } : { ...fields[name] };
+      field.type = field.type || 'string';
+
+      if (!TYPES[field.type]) {
+        throw new Error(`Tipe field "${field.type}" untuk "${this.table}.${name}" tidak didukung. Tipe yang tersedia: ${Object.keys(TYPES).join(', ')}`);
+      }
+
+      if (field.enum !== undefined && (!Array.isArray(field.enum) || field.enum.length === 0)) {
+        throw new Error(`Opsi enum untuk "${this.table}.${name}" harus berupa array yang tidak kosong`);
+      }
+
+      // Field yang wajib diisi tidak boleh null kecuali nullable diatur secara eksplisit
+      field.nullable = field.nullable !== undefined ? Boolean(field.nullable) : !field.required;
+      normalized[name] = field;
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Memvalidasi dan mengubah tipe data untuk insert (default diterapkan dan field required dicek)
+   * atau update (partial: hanya field yang dikirim yang divalidasi)
+   * @param {Object} data - Data insert/update
+   * @param {Object} options - Opsi
+   * @param {boolean} options.partial - True untuk update (default: false)
+   * @returns {Object} - Data baru yang sudah divalidasi
+   */
+  validate(data, { partial = false } = {}) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      throw Model.validationError(this.table, [{ field: this.table, message: 'harus berupa objek' }]);
+    }
+
+    const errors = [];
+    const result = {};
+
+    Object.keys(data).forEach(name => {
+      const field = this.fields[name];
+
+      if (!Object.prototype.hasOwnProperty.call(this.fields, name)) {
+        errors.push({ field: name, message: 'tidak didefinisikan pada model' });
+      } else if (field.readOnly) {
+        errors.push({ field: name, message: 'bersifat read-only' });
+      } else if (data[name] !== undefined) {
+        const message = this._cast(field, data[name], value => {
+          result[name] = value;
+        });
+        if (message) {
+          errors.push({ field: name, message });
+        }
+      }
+    });
+
+    if (!partial) {
+      Object.keys(this.fields).forEach(name => {
+        const field = this.fields[name];
+
+        if (result[name] !== undefined || errors.some(item => item.field === name)) {
+          return;
+        }
+
+        if (field.default !== undefined) {
+          result[name] = typeof field.default === 'function' ? field.default() : field.default;
+        } else if (field.required) {
+          errors.push({ field: name, message: 'wajib diisi' });
+        }
+      });
+    }
+
+    if (errors.length > 0) {
+      throw Model.validationError(this.table, errors);
+    }
+
+    return result;
+  }
+
+  /**
+   * Mengubah nilai ke tipe field
+   * @param {Object} field - Definisi field
+   * @param {any} value - Nilai dari data
+   * @param {Function} assign - Dipanggil dengan nilai hasil jika valid
+   * @returns {string|null} - Pesan kesalahan atau null jika valid
+   */
+  _cast(field, value, assign) {
+    if (value === null) {
+      if (!field.nullable) {
+        return 'tidak boleh null';
+      }
+      assign(null);
+      return null;
+    }
+
+    const cast = this._castValue(field.type, value);
+    if (cast === undefined) {
+      return `harus berupa ${TYPES[field.type].label}`;
+    }
+
+    if (field.enum && !field.enum.includes(cast)) {
+      return `harus salah satu dari: ${field.enum.join(', ')}`;
+    }
+
+    assign(cast);
+    return null;
+  }
+
+  /**
+   * Mengubah nilai ke tipe tertentu
+   * @param {string} type - Tipe field
+   * @param {any} value - Nilai
+   * @returns {any} - Nilai dengan tipe yang sesuai, atau undefined jika tidak dapat diubah
+   */
+  _castValue(type, value) {
+    switch (type) {
+      case 'string':
+        return ['string', 'number', 'boolean'].includes(typeof value) ? String(value) : undefined;
+      case 'number':
+      case 'integer': {
+        const number = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')
+          ? Number(value)
+          : NaN;
+        if (!Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+          return undefined;
+        }
+        return number;
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') {
+          return value;
+        }
+        if (['true', '1', 1].includes(value)) {
+          return true;
+        }
+        return ['false', '0', 0].includes(value) ? false : undefined;
+      case 'date': {
+        if (!(value instanceof Date) && !['string', 'number'].includes(typeof value)) {
+          return undefined;
+        }
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? undefined : date;
+      }
+      case 'object':
+        return typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) ? value : undefined;
+      case 'array':
+        return Array.isArray(value) ? value : undefined;
+      case 'objectId': {
+        if (typeof value === 'object' && typeof value.toHexString === 'function') {
+          return value;
+        }
+        if (typeof value !== 'string' || !/^[0-9a-f]{24}$/i.test(value)) {
+          return undefined;
+        }
+        const { Types } = require('mongoose');
+        return new Types.ObjectId(value);
+      }
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Menghapus field hidden dari baris hasil query (baris diubah langsung)
+   * @param {Object|Array} rows - Satu baris atau daftar baris
+   * @returns {Object|Array} - Baris tanpa field hidden
+   */
+  hide(rows) {
+    if (this.hidden.length > 0) {
+      [].concat(rows).forEach(row => {
+        if (typeof row === 'object' && row !== null) {
+          this.hidden.forEach(name => delete row[name]);
+        }
+      });
+    }
+    return rows;
+  }
+
+  /**
+   * Membuat JSON Schema objek yang dapat digunakan langsung sebagai schema route Fastify
+   * @param {string} kind - 'create' (body insert), 'update' (body update, tanpa required)
+   *   atau 'response' (tanpa field hidden) (default: 'create')
+   * @returns {Object} - JSON Schema
+   */
+  schema(kind = 'create') {
+    if (!SCHEMA_KINDS.includes(kind)) {
+      throw new Error(`Jenis schema "${kind}" tidak didukung. Jenis yang tersedia: ${SCHEMA_KINDS.join(', ')}`);
+    }
+
+    const properties = {};
+    const required = [];
+
+    Object.keys(this.fields).forEach(name => {
+      const field = this.fields[name];
+
+      if (kind === 'response' ? field.hidden : field.readOnly) {
+        return;
+      }
+
+      properties[name] = this._propertySchema(field, kind);
+      if (kind === 'create' && field.required && field.default === undefined) {
+        required.push(name);
+      }
+    });
+
+    const schema = { type: 'object', properties };
+    if (required.length > 0) {
+      schema.required = required;
+    }
+    if (kind !== 'response') {
+      schema.additionalProperties = false;
+    }
+    return schema;
+  }
+
+  /**
+   * Membuat JSON Schema untuk satu field
+   * @param {Object} field - Definisi field
+   * @param {string} kind - Jenis schema
+   * @returns {Object} - JSON Schema field
+   */
+  _propertySchema(field, kind) {
+    const schema = { ...TYPES[field.type].schema };
+
+    if (field.nullable) {
+      schema.type = [schema.type, 'null'];
+    }
+    if (field.enum) {
+      schema.enum = field.nullable ? [...field.enum, null] : [...field.enum];
+    }
+    if (field.readOnly) {
+      schema.readOnly = true;
+    }
+    // Default tidak disertakan pada schema update agar Fastify tidak mengisi field yang tidak dikirim
+    if (kind !== 'update' && field.default !== undefined && typeof field.default !== 'function') {
+      schema.default = field.default instanceof Date ? field.default.toISOString() : field.default;
+    }
+
+    return schema;
+  }
+}
+
+Model.TYPES = Object.keys(TYPES);
+
+module.exports = Model;
@@ -3,128 +3,225 @@
  * Kelas untuk membuat query database yang dapat bekerja dengan berbagai engine
  */
 
-const MongoAdapter = require('./adapters/mongoAdapter');
-const KnexAdapter = require('./adapters/knexAdapter');
+const { createHash } = require('crypto');
+const { pipeline, Readable, Transform } = require('stream');
+const ConditionBuilder = require('./conditionBuilder');
+const RelationLoader = require('./relationLoader');
+const RequestQuery = require('./requestQuery');
+const Model = require('./model');
+const { registerAdapter, getAdapter, supportsCapability } = require('./adapterRegistry');
+const { parseAlias, isMongoEngine, isSameEngine, encodeCursor, decodeCursor, redactQuery } = require('./utils');
 
-class QueryBuilder {
+/**
+ * Fungsi agregat yang didukung
+ */
+const AGGREGATE_FUNCTIONS = ['count', 'sum', 'avg', 'min', 'max'];
+
+/**
+ * Hook yang dapat didaftarkan secara global (opsi hooks) atau per tabel (tables[table].hooks).
+ * beforeQuery berjalan untuk semua operasi dengan kondisi (baca, update, delete),
+ * afterQuery hanya untuk operasi baca
+ */
+const HOOKS = [
+  'beforeQuery',
+  'afterQuery',
+  'beforeInsert',
+  'afterInsert',
+  'beforeUpdate',
+  'afterUpdate',
+  'beforeDelete',
+  'afterDelete'
+];
+
+class QueryBuilder extends ConditionBuilder {
   constructor(fastify, options = {}) {
+    super();
     this.fastify = fastify;
     this.options = options;
     this.table = null;
     this.collection = null;
-    this.conditions = [];
+    this.alias = null;
+    this.joins = [];
     this.fields = [];
     this.sorts = {};
+    this.groups = [];
+    this.havings = [];
+    this.withs = {};
     this.limitValue = null;
     this.skipValue = null;
+    this.forcePrimary = false;
+    this.includeHidden = false;
+    this.trashed = 'without';
+    this.cacheOptions = null;
+    this.returningFields = null;
     this.adapter = null;
     this.dbEngine = options.dbEngine || process.env.DB_ENGINE || 'pg';
+    this.connection = this._resolveConnection();
+
+    // Engine mengikuti koneksi bernama jika ada
+    if (this.connection) {
+      this.dbEngine = this.connection.engine;
+    }
     
     // Inisialisasi adapter berdasarkan engine database
     this._initAdapter();
   }
 
   /**
-   * Inisialisasi adapter berdasarkan engine database
+   * Menentukan koneksi bernama yang digunakan.
+   * Jika opsi connection tidak diberikan, digunakan defaultConnection atau
+   * koneksi pertama dengan engine yang sama dengan dbEngine
+   * @returns {Object|null} - Konfigurasi koneksi ({ name, engine, ... }) atau null
    * @private
    */
-  _initAdapter() {
-    if (this.dbEngine === 'mongodb' || this.dbEngine === 'mongo') {
-      this.adapter = new MongoAdapter(this.fastify);
-    } else {
-      // Untuk PostgreSQL, MySQL, SQLite, MSSQL menggunakan Knex
-      this.adapter = new KnexAdapter(this.fastify, this.dbEngine);
+  _resolveConnection() {
+    const connections = this.options.connections || {};
+    let name = this.options.connection;
+
+    if (!name) {
+      name = [this.options.defaultConnection, ...Object.keys(connections)]
+        .find(key => key && connections[key] && isSameEngine(connections[key].engine, this.dbEngine));
+    }
+
+    if (!name) {
+      return null;
+    }
+
+    if (!connections[name]) {
+      throw new Error(`Koneksi "${name}" tidak ditemukan`);
     }
+
+    return { name, ...connections[name] };
   }
 
   /**
-   * Menentukan tabel atau koleksi yang akan digunakan
-   * @param {string} tableName - Nama tabel atau koleksi
-   * @returns {QueryBuilder} - Instance query builder
+   * Mendaftarkan adapter untuk engine database baru (atau mengganti adapter bawaan)
+   * @param {string|Array} name - Nama engine
+   * @param {Function} Adapter - Kelas adapter dengan constructor(fastify, options)
+   * @returns {Function} - Kelas QueryBuilder
    */
-  from(tableName) {
-    this.table = tableName;
-    this.collection = tableName;
+  static registerAdapter(name, Adapter) {
+    registerAdapter(name, Adapter);
     return this;
   }
 
   /**
-   * Menambahkan kondisi where
-   * @param {string|object} field - Field atau objek kondisi
-   * @param {string} operator - Operator perbandingan (opsional)
-   * @param {any} value - Nilai untuk dibandingkan (opsional)
-   * @returns {QueryBuilder} - Instance query builder
+   * Memvalidasi definisi hook ({ nama: fungsi|[fungsi] })
+   * @param {Object} hooks - Hook per nama
+   * @param {string} owner - Pemilik hook untuk pesan error (misal nama tabel)
    */
-  where(field, operator, value) {
-    // Handle berbagai format where
-    if (typeof field === 'object') {
-      // Format: where({field1: value1, field2: value2})
-      Object.keys(field).forEach(key => {
-        this.conditions.push({
-          field: key,
-          operator: '=',
-          value: field[key]
-        });
-      });
-    } else if (value === undefined) {
-      // Format: where(field, value)
-      this.conditions.push({
-        field,
-        operator: '=',
-        value: operator
-      });
-    } else {
-      // Format: where(field, operator, value)
-      this.conditions.push({
-        field,
-        operator,
-        value
-      });
+  static validateHooks(hooks = {}, owner = 'global') {
+    Object.keys(hooks).forEach(name => {
+      if (!HOOKS.includes(name)) {
+        throw new Error(`Hook "${name}" tidak dikenal. Hook yang tersedia: ${HOOKS.join(', ')}`);
+      }
+
+      if ([].concat(hooks[name]).some(hook => typeof hook !== 'function')) {
+        throw new Error(`Hook "${name}" pada "${owner}" harus berupa fungsi`);
+      }
+    });
+  }
+
+  /**
+   * Inisialisasi adapter berdasarkan engine database dari registry adapter
+   * @private
+   */
+  _initAdapter() {
+    const Adapter = getAdapter(this.dbEngine);
+
+    this.adapter = new Adapter(this.fastify, {
+      ...this.options,
+      dbEngine: this.dbEngine,
+      connection: this.connection
+    });
+  }
+
+  /**
+   * Mengecek apakah adapter engine yang digunakan memiliki kemampuan tertentu
+   * @param {string} capability - Nama kemampuan (joins, aggregates, transactions, returning, streaming, explain)
+   * @returns {boolean} - True jika didukung
+   */
+  supports(capability) {
+    return supportsCapability(this.adapter.constructor, capability);
+  }
+
+  /**
+   * Memastikan adapter memiliki kemampuan yang dibutuhkan sebuah operasi
+   * @param {string} capability - Nama kemampuan
+   * @param {string} operation - Nama operasi untuk pesan error
+   * @private
+   */
+  _assertSupports(capability, operation) {
+    if (!this.supports(capability)) {
+      throw new Error(`${operation}() tidak didukung oleh engine "${this.dbEngine}"`);
     }
-    return this;
   }
 
   /**
-   * Menambahkan kondisi where dengan operator IN
-   * @param {string} field - Field yang akan dicek
-   * @param {Array} values - Array nilai yang akan dicek
+   * Menentukan tabel atau koleksi yang akan digunakan
+   * @param {string} tableName - Nama tabel atau koleksi, dapat diberi alias ('users as u')
    * @returns {QueryBuilder} - Instance query builder
    */
-  whereIn(field, values) {
-    this.conditions.push({
-      field,
-      operator: 'in',
-      value: values
-    });
+  from(tableName) {
+    const { name, alias } = parseAlias(tableName);
+    this.table = tableName;
+    this.collection = name;
+    this.alias = alias;
     return this;
   }
 
   /**
-   * Menambahkan kondisi where dengan operator NOT IN
-   * @param {string} field - Field yang akan dicek
-   * @param {Array} values - Array nilai yang akan dicek
+   * Menambahkan inner join
+   * @param {string} table - Tabel atau koleksi yang di-join, dapat diberi alias ('orders as o')
+   * @param {string} first - Field pertama pada kondisi join
+   * @param {string} operator - Operator perbandingan (opsional, default '=')
+   * @param {string} second - Field kedua pada kondisi join
    * @returns {QueryBuilder} - Instance query builder
    */
-  whereNotIn(field, values) {
-    this.conditions.push({
-      field,
-      operator: 'not in',
-      value: values
-    });
-    return this;
+  join(table, first, operator, second) {
+    return this._addJoin('inner', table, first, operator, second);
+  }
+
+  /**
+   * Menambahkan left join
+   * @param {string} table - Tabel atau koleksi yang di-join, dapat diberi alias ('orders as o')
+   * @param {string} first - Field pertama pada kondisi join
+   * @param {string} operator - Operator perbandingan (opsional, default '=')
+   * @param {string} second - Field kedua pada kondisi join
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  leftJoin(table, first, operator, second) {
+    return this._addJoin('left', table, first, operator, second);
   }
 
   /**
-   * Menambahkan kondisi where dengan operator LIKE
-   * @param {string} field - Field yang akan dicek
-   * @param {string} value - Nilai yang akan dicari
+   * Menambahkan join
+   * @param {string} type - Jenis join (inner/left)
+   * @param {string} table - Tabel atau koleksi yang di-join
+   * @param {string} first - Field pertama pada kondisi join
+   * @param {string} operator - Operator perbandingan
+   * @param {string} second - Field kedua pada kondisi join
    * @returns {QueryBuilder} - Instance query builder
+   * @private
    */
-  whereLike(field, value) {
-    this.conditions.push({
-      field,
-      operator: 'like',
-      value
+  _addJoin(type, table, first, operator, second) {
+    this._assertSupports('joins', type === 'left' ? 'leftJoin' : 'join');
+
+    if (second === undefined) {
+      // Format: join(table, first, second)
+      second = operator;
+      operator = '=';
+    }
+
+    const { name, alias } = parseAlias(table);
+    this.joins.push({
+      type,
+      table,
+      collection: name,
+      alias: alias || name,
+      first,
+      operator,
+      second
     });
     return this;
   }
@@ -179,12 +276,183 @@ class QueryBuilder {
     return this.skip(offset);
   }
 
+  /**
+   * Mengelompokkan hasil berdasarkan field (untuk agregasi)
+   * @param  {...string} fields - Field untuk pengelompokan
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  groupBy(...fields) {
+    this.groups = fields.flat();
+    return this;
+  }
+
+  /**
+   * Menambahkan kondisi having pada hasil agregasi
+   * @param {string} field - Alias agregat atau field group
+   * @param {string} operator - Operator perbandingan (opsional)
+   * @param {any} value - Nilai untuk dibandingkan (opsional)
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  having(field, operator, value) {
+    return this._addHaving('and', field, operator, value);
+  }
+
+  /**
+   * Menambahkan kondisi having yang digabung dengan OR
+   * @param {string} field - Alias agregat atau field group
+   * @param {string} operator - Operator perbandingan (opsional)
+   * @param {any} value - Nilai untuk dibandingkan (opsional)
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  orHaving(field, operator, value) {
+    return this._addHaving('or', field, operator, value);
+  }
+
+  /**
+   * Menambahkan kondisi having
+   * @param {string} boolean - Penghubung dengan kondisi sebelumnya (and/or)
+   * @param {string} field - Alias agregat atau field group
+   * @param {string} operator - Operator perbandingan (opsional)
+   * @param {any} value - Nilai untuk dibandingkan (opsional)
+   * @returns {QueryBuilder} - Instance query builder
+   * @private
+   */
+  _addHaving(boolean, field, operator, value) {
+    if (typeof field !== 'string') {
+      throw new Error('having() hanya menerima nama field atau alias agregat');
+    }
+
+    const having = new ConditionBuilder();
+    having._addWhere(boolean, false, field, operator, value);
+    this.havings.push(...having.conditions);
+    return this;
+  }
+
+  /**
+   * Memaksa operasi baca dijalankan di primary, bukan read replica
+   * (misalnya untuk membaca data yang baru saja ditulis)
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  onPrimary() {
+    this.forcePrimary = true;
+    return this;
+  }
+
+  /**
+   * Menyertakan field hidden dari definisi model pada hasil query
+   * (misalnya hash password untuk proses login)
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  withHidden() {
+    this.includeHidden = true;
+    return this;
+  }
+
+  /**
+   * Mengembalikan baris yang terpengaruh dari update(), increment(), unset() dan delete()
+   * sebagai pengganti jumlah baris (RETURNING di SQL).
+   * Engine tanpa kemampuan returning (MongoDB, MySQL) melempar error, tanpa pembacaan ulang otomatis
+   * @param {...string} fields - Field yang dikembalikan (default: semua)
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  returning(...fields) {
+    this._assertSupports('returning', 'returning');
+    const list = fields.flat();
+    this.returningFields = list.length > 0 ? list : ['*'];
+    return this;
+  }
+
+  /**
+   * Menyertakan data yang sudah di-soft delete (tabel dengan opsi softDeletes)
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  withTrashed() {
+    this.trashed = 'with';
+    return this;
+  }
+
+  /**
+   * Hanya mengambil data yang sudah di-soft delete (tabel dengan opsi softDeletes)
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  onlyTrashed() {
+    this.trashed = 'only';
+    return this;
+  }
+
+  /**
+   * Menyimpan hasil get(), first(), count() dan paginate() di cache.
+   * Insert, update dan delete pada tabel yang sama menghapus cache tabel tersebut
+   * @param {Object} options - Opsi cache
+   * @param {number} options.ttl - Masa berlaku dalam detik (default: opsi cacheTtl, 60)
+   * @param {string} options.key - Key cache (default: dibuat dari state query)
+   * @param {string|Array} options.tags - Tag tambahan untuk invalidasi manual (opsional)
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  cache({ ttl, key = null, tags = [] } = {}) {
+    if (!this.options.cacheStore) {
+      throw new Error('cache() membutuhkan opsi cacheStore');
+    }
+
+    this.cacheOptions = { ttl, key, tags: [].concat(tags) };
+    return this;
+  }
+
+  /**
+   * Memuat relasi yang sudah didefinisikan bersama hasil query (eager loading)
+   * @param  {...string|Object} relations - Nama relasi ('orders', 'orders.items')
+   *   atau objek { relasi: q => q.where(...) } untuk menambahkan kondisi
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  with(...relations) {
+    relations.flat().forEach(relation => {
+      if (typeof relation === 'string') {
+        this.withs[relation] = this.withs[relation] || null;
+      } else {
+        Object.assign(this.withs, relation);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Menerapkan query string HTTP (filter, sort, fields, page, limit) berdasarkan allow-list.
+   * Field, operator atau nilai yang tidak diizinkan menghasilkan error dengan statusCode 400
+   * @param {Object} query - Query string (request.query)
+   * @param {Object} options - { allow: { filter, sort, fields }, maxLimit, defaultLimit }
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  applyRequestQuery(query, options = {}) {
+    return new RequestQuery(options).apply(this, query);
+  }
+
+  /**
+   * Membuat query builder baru dengan opsi yang sama untuk tabel lain
+   * @param {string} tableName - Nama tabel atau koleksi
+   * @returns {QueryBuilder} - Query builder baru
+   * @private
+   */
+  _newQuery(tableName) {
+    const query = new this.constructor(this.fastify, this.options).from(tableName);
+    query.forcePrimary = this.forcePrimary;
+    return query;
+  }
+
   /**
    * Mengeksekusi query dan mendapatkan semua hasil
    * @returns {Promise<Array>} - Hasil query
    */
   async get() {
-    return this.adapter.get(this);
+    const rows = await this._withHooks('get', ['beforeQuery'], ['afterQuery'], undefined, () => this._cached('get', null, async () => {
+      const result = await this._scoped(() => this._instrument('get', undefined, () => this.adapter.get(this)));
+
+      if (Object.keys(this.withs).length > 0 && result.length > 0) {
+        await new RelationLoader(this).load(result, this.withs);
+      }
+      return result;
+    }));
+
+    return this._hideFields(rows);
   }
 
   /**
@@ -194,57 +462,1098 @@ class QueryBuilder {
   async first() {
     const originalLimit = this.limitValue;
     this.limitValue = 1;
-    const results = await this.adapter.get(this);
-    this.limitValue = originalLimit;
-    return results[0] || null;
+    try {
+      const results = await this.get();
+      return results[0] || null;
+    } finally {
+      this.limitValue = originalLimit;
+    }
   }
 
   /**
-   * Menyisipkan data baru
-   * @param {Object|Array} data - Data yang akan disisipkan
-   * @returns {Promise<Object|Array>} - Data yang disisipkan dengan ID
+   * Mengambil data sebagai stream tanpa memuat seluruh hasil ke memori.
+   * Stream dapat dibaca dengan pipe() atau for await...of
+   * @returns {Readable} - Stream object mode berisi baris hasil
    */
-  async insert(data) {
-    return this.adapter.insert(this, data);
+  stream() {
+    this._assertSupports('streaming', 'stream');
+
+    if (Object.keys(this.withs).length > 0) {
+      throw new Error('stream() tidak mendukung with(), gunakan chunk() atau eachBatch()');
+    }
+
+    let source;
+    if (this._hooks('beforeQuery').length === 0) {
+      source = this._scoped(() => this._instrumentStream(this.adapter.stream(this)));
+    } else {
+      // Hook bersifat async, sehingga stream adapter baru dibuat setelah hook selesai
+      const open = () => this._withHooks('stream', ['beforeQuery'], [], undefined, async () => {
+        return this._scoped(() => this._instrumentStream(this.adapter.stream(this)));
+      });
+      source = Readable.from((async function* () {
+        yield* await open();
+      })());
+    }
+
+    const model = this._model();
+
+    if (!model || model.hidden.length === 0 || this.includeHidden) {
+      return source;
+    }
+
+    // pipeline meneruskan error dari stream adapter ke stream hasil
+    return pipeline(source, new Transform({
+      objectMode: true,
+      transform: (row, encoding, callback) => callback(null, model.hide(row))
+    }), () => {});
   }
 
   /**
-   * Memperbarui data
-   * @param {Object} data - Data yang akan diperbarui
-   * @returns {Promise<number>} - Jumlah baris yang diperbarui
+   * Mengambil data per batch dengan keyset pagination (lihat cursorPaginate()),
+   * sehingga tidak ada baris yang terlewat atau terulang selama urutan tidak berubah.
+   * limit() membatasi jumlah total baris; skip() tidak didukung karena batch tidak menggunakan OFFSET
+   * @param {number} size - Jumlah baris per batch (default: 1000)
+   * @returns {AsyncGenerator<Array>} - Batch baris
    */
-  async update(data) {
-    return this.adapter.update(this, data);
+  async *eachBatch(size = 1000) {
+    size = this._positiveInteger(size, 'size');
+
+    if (this.skipValue) {
+      throw new Error('eachBatch() dan chunk() tidak mendukung skip()/offset(), gunakan where() untuk membatasi data');
+    }
+
+    let remaining = this.limitValue ?? Infinity;
+    let after = null;
+
+    while (remaining > 0) {
+      const page = await this.cursorPaginate({ after, limit: Math.min(size, remaining) });
+      if (page.data.length > 0) {
+        yield page.data;
+      }
+      remaining -= page.data.length;
+      after = page.nextCursor;
+      if (!after) {
+        break;
+      }
+    }
   }
 
   /**
-   * Menghapus data
-   * @returns {Promise<number>} - Jumlah baris yang dihapus
+   * Memproses data per batch, misalnya untuk backfill.
+   * Iterasi berhenti jika callback mengembalikan false
+   * @param {number} size - Jumlah baris per batch
+   * @param {Function} callback - Fungsi async yang menerima (rows, index)
+   * @returns {Promise<boolean>} - False jika dihentikan oleh callback
    */
-  async delete() {
-    return this.adapter.delete(this);
+  async chunk(size, callback) {
+    let index = 0;
+
+    for await (const rows of this.eachBatch(size)) {
+      if (await callback(rows, index++) === false) {
+        return false;
+      }
+    }
+
+    return true;
   }
 
   /**
-   * Menghitung jumlah data
-   * @param {string} field - Field untuk dihitung (default: *)
-   * @returns {Promise<number>} - Jumlah data
+   * Mengambil satu halaman data beserta total data dengan kondisi yang sama
+   * @param {Object} options - Opsi halaman
+   * @param {number} options.page - Nomor halaman, mulai dari 1 (default: 1)
+   * @param {number} options.perPage - Jumlah data per halaman (default: 15)
+   * @returns {Promise<Object>} - { data, total, page, perPage, lastPage }
    */
-  async count(field = '*') {
-    return this.adapter.count(this, field);
+  async paginate({ page = 1, perPage = 15 } = {}) {
+    page = this._positiveInteger(page, 'page');
+    perPage = this._positiveInteger(perPage, 'perPage');
+
+    const data = await this._withState({ limitValue: perPage, skipValue: (page - 1) * perPage }, () => this.get());
+    // Count tidak boleh membawa field select(), pengurutan, limit dan offset dari query data
+    const total = await this._withState({ fields: [], sorts: {}, limitValue: null, skipValue: null }, () => this.count());
+
+    return {
+      data,
+      total,
+      page,
+      perPage,
+      lastPage: Math.max(1, Math.ceil(total / perPage))
+    };
   }
 
   /**
-   * Mendapatkan query SQL (hanya untuk SQL database)
-   * @returns {string} - Query SQL
+   * Mengambil data dengan keyset pagination (tanpa OFFSET).
+   * Urutan diambil dari orderBy() atau opsi orderBy, dan primary key ditambahkan
+   * sebagai pemisah agar urutan selalu unik. Field pengurutan tidak boleh bernilai null
+   * @param {Object} options - Opsi halaman
+   * @param {string} options.after - Cursor dari nextCursor halaman sebelumnya (opsional)
+   * @param {number} options.limit - Jumlah data per halaman (default: 15)
+   * @param {string|Object} options.orderBy - Field atau { field: 'asc'|'desc' } (opsional)
+   * @returns {Promise<Object>} - { data, nextCursor, hasMore }
    */
-  toSQL() {
-    if (this.adapter.constructor.name === 'KnexAdapter') {
-      const query = this.adapter._buildQuery(this);
-      return query.toString();
+  async cursorPaginate({ after = null, limit = 15, orderBy = null } = {}) {
+    limit = this._positiveInteger(limit, 'limit');
+
+    const primaryKey = this._primaryKey();
+    const requested = typeof orderBy === 'string' ? { [orderBy]: 'asc' } : (orderBy || this.sorts);
+    const sorts = {};
+    Object.keys(requested).forEach(field => {
+      sorts[field] = String(requested[field]).toLowerCase();
+    });
+    const qualifiedKey = this.alias ? `${this.alias}.${primaryKey}` : primaryKey;
+
+    if (!(primaryKey in sorts) && !(qualifiedKey in sorts)) {
+      sorts[qualifiedKey] = 'asc';
+    }
+
+    const fields = Object.keys(sorts);
+    const state = { sorts, limitValue: limit + 1, skipValue: null, conditions: [...this.conditions] };
+
+    if (after) {
+      const values = decodeCursor(after, fields);
+      const keyset = new ConditionBuilder();
+
+      // (a > x) OR (a = x AND b > y) OR ...
+      fields.forEach((field, index) => {
+        keyset.orWhere(group => {
+          fields.slice(0, index).forEach((previous, i) => group.where(previous, '=', values[i]));
+          group.where(field, sorts[field] === 'desc' ? '<' : '>', values[index]);
+        });
+      });
+
+      state.conditions.push({ type: 'group', boolean: 'and', not: false, conditions: keyset.conditions });
+    }
+
+    const rows = await this._withState(state, () => this.get());
+    const hasMore = rows.length > limit;
+    const data = hasMore ? rows.slice(0, limit) : rows;
+    let nextCursor = null;
+
+    if (hasMore) {
+      const last = data[data.length - 1];
+      const values = fields.map(field => {
+        // Nama kolom hasil: alias dari select() atau nama field tanpa alias tabel
+        const selected = this.fields.map(parseAlias).find(item => item.name === field && item.alias);
+        const key = selected ? selected.alias : field.split('.').pop();
+        if (!(key in last)) {
+          throw new Error(`Field pengurutan "${field}" harus termasuk dalam hasil query`);
+        }
+        return last[key];
+      });
+      nextCursor = encodeCursor(fields, values);
     }
-    throw new Error('toSQL() hanya tersedia untuk SQL database');
+
+    return { data, nextCursor, hasMore };
   }
-}
+
+  /**
+   * Mendapatkan primary key tabel dari konfigurasi tabel (opsi primaryKey),
+   * default '_id' untuk MongoDB dan 'id' untuk engine lain
+   * @returns {string} - Nama primary key
+   * @private
+   */
+  _primaryKey() {
+    return this._tableConfig().primaryKey || (isMongoEngine(this.dbEngine) ? '_id' : 'id');
+  }
+
+  /**
+   * Mendapatkan konfigurasi tabel (opsi tables[table])
+   * @returns {Object} - Konfigurasi tabel
+   * @private
+   */
+  _tableConfig() {
+    return (this.options.tables || {})[this.collection] || {};
+  }
+
+  /**
+   * Mendapatkan nama kolom timestamp dari konfigurasi tabel (opsi timestamps).
+   * timestamps: true menggunakan created_at dan updated_at
+   * @returns {Object|null} - { createdAt, updatedAt } atau null jika timestamps tidak aktif
+   * @private
+   */
+  _timestampColumns() {
+    const { timestamps } = this._tableConfig();
+    if (!timestamps) {
+      return null;
+    }
+    return { createdAt: 'created_at', updatedAt: 'updated_at', ...(typeof timestamps === 'object' ? timestamps : {}) };
+  }
+
+  /**
+   * Mendapatkan nama kolom soft delete dari konfigurasi tabel (opsi softDeletes).
+   * softDeletes: true menggunakan deleted_at
+   * @returns {string|null} - Nama kolom atau null jika soft delete tidak aktif
+   * @private
+   */
+  _softDeleteColumn() {
+    const { softDeletes } = this._tableConfig();
+    if (!softDeletes) {
+      return null;
+    }
+    return typeof softDeletes === 'string' ? softDeletes : 'deleted_at';
+  }
+
+  /**
+   * Mendapatkan hook global (opsi hooks) dan hook tabel (tables[table].hooks) untuk satu nama
+   * @param {string} name - Nama hook
+   * @returns {Array} - Daftar fungsi hook, hook global lebih dulu
+   * @private
+   */
+  _hooks(name) {
+    const global = (this.options.hooks || {})[name] || [];
+    const table = (this._tableConfig().hooks || {})[name] || [];
+    return [].concat(global, table);
+  }
+
+  /**
+   * Menjalankan operasi dengan hook sebelum dan sesudahnya.
+   * Hook menerima context { query, operation, table, conditions, fields, sorts, data, result }:
+   * perubahan pada conditions, fields, sorts dan data diterapkan ke operasi, perubahan pada
+   * result menjadi hasil operasi, dan error yang dilempar membatalkan operasi.
+   * Perubahan state builder hanya berlaku untuk satu eksekusi
+   * @param {string} operation - Nama operasi (get, count, insert, update, delete, ...)
+   * @param {Array} before - Nama hook sebelum operasi
+   * @param {Array} after - Nama hook sesudah operasi
+   * @param {any} data - Payload operasi (data insert/update)
+   * @param {Function} callback - Fungsi async yang menerima data dan menjalankan operasi
+   * @param {Function} prepare - Fungsi yang memvalidasi dan melengkapi data setelah hook sebelum operasi (opsional)
+   * @returns {Promise<any>} - Hasil operasi
+   * @private
+   */
+  async _withHooks(operation, before, after, data, callback, prepare = value => value) {
+    const hooks = name => this._hooks(name);
+
+    if ([...before, ...after].every(name => hooks(name).length === 0)) {
+      return callback(prepare(data));
+    }
+
+    const state = { conditions: [...this.conditions], fields: [...this.fields], sorts: { ...this.sorts } };
+
+    return this._withState(state, async () => {
+      const context = {
+        query: this,
+        operation,
+        table: this.collection,
+        conditions: this.conditions,
+        fields: this.fields,
+        sorts: this.sorts,
+        data,
+        result: undefined
+      };
+
+      for (const name of before) {
+        for (const hook of hooks(name)) {
+          await hook(context);
+        }
+      }
+
+      this.conditions = context.conditions;
+      this.fields = context.fields;
+      this.sorts = context.sorts;
+      context.data = prepare(context.data);
+      context.result = await callback(context.data);
+
+      for (const name of after) {
+        for (const hook of hooks(name)) {
+          await hook(context);
+        }
+      }
+
+      return context.result;
+    });
+  }
+
+  /**
+   * Menjalankan operasi baca melalui cache jika cache() digunakan.
+   * Dijalankan setelah hook beforeQuery agar perubahan kondisi oleh hook ikut menjadi key.
+   * Di dalam transaksi cache dilewati karena hasilnya dapat berisi data yang belum di-commit
+   * @param {string} operation - Nama operasi (get, count)
+   * @param {any} extra - Argumen operasi yang memengaruhi hasil (misal field count)
+   * @param {Function} callback - Fungsi async yang menjalankan query
+   * @returns {Promise<any>} - Hasil query
+   * @private
+   */
+  async _cached(operation, extra, callback) {
+    if (!this.cacheOptions || this.options.transaction) {
+      return callback();
+    }
+
+    const store = this.options.cacheStore;
+    const key = this._cacheKey(operation, extra);
+    const cached = await store.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    const result = await callback();
+    const ttl = this.cacheOptions.ttl !== undefined ? this.cacheOptions.ttl : (this.options.cacheTtl ?? 60);
+    await store.set(key, result, { ttl, tags: this._cacheTags() });
+    return result;
+  }
+
+  /**
+   * Membuat key cache dari state query yang dinormalkan
+   * (engine, koneksi, tabel, join, kondisi, field, urutan, limit/skip, relasi dan soft delete)
+   * @param {string} operation - Nama operasi
+   * @param {any} extra - Argumen operasi
+   * @returns {string} - Key cache
+   * @private
+   */
+  _cacheKey(operation, extra) {
+    if (this.cacheOptions.key) {
+      return `${this.cacheOptions.key}:${operation}`;
+    }
+
+    if (Object.values(this.withs).some(Boolean)) {
+      throw new Error('cache() dengan kondisi relasi pada with() membutuhkan opsi key');
+    }
+
+    const state = JSON.stringify({
+      engine: this.dbEngine,
+      connection: this.connection ? this.connection.name : null,
+      table: this.table,
+      joins: this.joins,
+      conditions: this.conditions,
+      fields: this.fields,
+      sorts: this.sorts,
+      groups: this.groups,
+      havings: this.havings,
+      withs: Object.keys(this.withs),
+      limit: this.limitValue,
+      skip: this.skipValue,
+      trashed: this.trashed,
+      operation,
+      extra
+    }, function (name, value) {
+      // Nilai yang tidak dapat dibedakan setelah JSON.stringify diberi penanda tipe
+      const raw = this[name];
+      if (raw instanceof Date) {
+        return { $date: raw.toISOString() };
+      }
+      if (raw instanceof RegExp) {
+        return { $regex: String(raw) };
+      }
+      if (raw && typeof raw.toHexString === 'function') {
+        return { $oid: raw.toHexString() };
+      }
+      return value;
+    });
+
+    return `qb:${this.collection}:${createHash('sha1').update(state).digest('hex')}`;
+  }
+
+  /**
+   * Mendapatkan tag cache: tabel utama, tabel join, tabel relasi with() dan tag dari opsi tags
+   * @returns {Array} - Daftar tag
+   * @private
+   */
+  _cacheTags() {
+    const tags = new Set([this.collection, ...this.joins.map(join => join.collection)]);
+    const tables = this.options.tables || {};
+
+    Object.keys(this.withs).forEach(path => {
+      let table = this.collection;
+      path.split('.').forEach(name => {
+        const relation = tables[table]?.relations?.[name];
+        if (relation) {
+          tags.add(relation.table);
+          if (relation.pivot) {
+            tags.add(relation.pivot);
+          }
+          table = relation.table;
+        }
+      });
+    });
+
+    this.cacheOptions.tags.forEach(tag => tags.add(tag));
+    return [...tags];
+  }
+
+  /**
+   * Menjalankan operasi tulis lalu menghapus cache yang ditandai dengan tabel ini.
+   * Di dalam transaksi tag dikumpulkan dan baru dihapus setelah transaksi terluar di-commit
+   * @param {Function} callback - Fungsi async yang menjalankan operasi tulis
+   * @returns {Promise<any>} - Hasil operasi
+   * @private
+   */
+  async _invalidating(callback) {
+    const result = await callback();
+    if (this.options.pendingInvalidations) {
+      this.options.pendingInvalidations.add(this.collection);
+    } else if (this.options.cacheStore) {
+      await this.options.cacheStore.invalidateTags([this.collection]);
+    }
+    return result;
+  }
+
+  /**
+   * Menjalankan operasi adapter dengan kondisi soft delete (deleted_at IS NULL,
+   * atau IS NOT NULL untuk onlyTrashed()) yang ditambahkan sementara ke kondisi query
+   * @param {Function} callback - Fungsi yang memanggil adapter (sinkron atau async)
+   * @returns {any} - Hasil callback
+   * @private
+   */
+  _scoped(callback) {
+    const column = this._softDeleteColumn();
+
+    if (!column) {
+      if (this.trashed === 'only') {
+        throw new Error(`Tabel "${this.collection}" tidak menggunakan soft delete`);
+      }
+      return callback();
+    }
+
+    if (this.trashed === 'with') {
+      return callback();
+    }
+
+    const original = this.conditions;
+    const scope = new ConditionBuilder();
+    if (original.length > 0) {
+      scope.conditions.push({ type: 'group', boolean: 'and', not: false, conditions: original });
+    }
+    // Kolom diberi alias tabel jika ada join agar tidak ambigu
+    const field = this.joins.length > 0 ? `${this.alias || this.collection}.${column}` : column;
+    scope[this.trashed === 'only' ? 'whereNotNull' : 'whereNull'](field);
+
+    this.conditions = scope.conditions;
+    let result;
+    try {
+      result = callback();
+    } catch (error) {
+      this.conditions = original;
+      throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.finally(() => {
+        this.conditions = original;
+      });
+    }
+
+    this.conditions = original;
+    return result;
+  }
+
+  /**
+   * Mendapatkan model tabel dari konfigurasi tabel (opsi fields)
+   * @returns {Model|null} - Instance model atau null jika tabel tidak memiliki definisi field
+   * @private
+   */
+  _model() {
+    return Model.fromOptions(this.options, this.collection);
+  }
+
+  /**
+   * Menghapus field hidden dari hasil query kecuali withHidden() digunakan
+   * @param {Object|Array} rows - Hasil query
+   * @returns {Object|Array} - Hasil query tanpa field hidden
+   * @private
+   */
+  _hideFields(rows) {
+    const model = this._model();
+    return model && !this.includeHidden ? model.hide(rows) : rows;
+  }
+
+  /**
+   * Mendapatkan query adapter yang sudah disamarkan (nilai diganti '?') untuk log
+   * @param {string} operation - Operasi
+   * @param {any} payload - Payload operasi
+   * @returns {Object|null} - Query yang disamarkan, atau null jika adapter tidak mendukung describe()
+   * @private
+   */
+  _describe(operation, payload) {
+    if (typeof this.adapter.describe !== 'function') {
+      return null;
+    }
+
+    try {
+      return redactQuery(this.adapter.describe(this, operation, payload));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Membuat data event monitor untuk satu query
+   * @param {string} operation - Operasi
+   * @param {bigint} start - Waktu mulai (process.hrtime.bigint())
+   * @param {number|null} rows - Jumlah baris hasil atau yang diubah
+   * @param {Error|null} error - Error query
+   * @returns {Object} - Event query
+   * @private
+   */
+  _queryEvent(operation, start, rows, error) {
+    return {
+      engine: this.dbEngine,
+      connection: this.connection ? this.connection.name : null,
+      table: this.collection,
+      operation,
+      duration: Number(process.hrtime.bigint() - start) / 1e6,
+      rows,
+      error: error || null
+    };
+  }
+
+  /**
+   * Menjalankan operasi adapter dan mencatat durasi, jumlah baris dan query ke monitor (opsi monitor).
+   * Query hanya dideskripsikan jika monitor membutuhkannya
+   * @param {string} operation - Operasi (get, count, aggregate, distinct, insert, update, delete)
+   * @param {any} payload - Payload operasi untuk describe()
+   * @param {Function} callback - Fungsi async yang memanggil adapter
+   * @returns {Promise<any>} - Hasil callback
+   * @private
+   */
+  async _instrument(operation, payload, callback) {
+    const monitor = this.options.monitor;
+    if (!monitor) {
+      return callback();
+    }
+
+    const start = process.hrtime.bigint();
+    let result;
+    try {
+      result = await callback();
+    } catch (error) {
+      monitor.record(this._queryEvent(operation, start, null, error), () => this._describe(operation, payload));
+      throw error;
+    }
+
+    let rows = 1;
+    if (Array.isArray(result)) {
+      rows = result.length;
+    } else if (['update', 'delete'].includes(operation)) {
+      rows = result;
+    }
+    monitor.record(this._queryEvent(operation, start, rows, null), () => this._describe(operation, payload));
+    return result;
+  }
+
+  /**
+   * Mencatat stream ke monitor setelah stream selesai dibaca atau gagal.
+   * Query dideskripsikan saat stream dibuka karena kondisi soft delete hanya berlaku saat itu
+   * @param {Readable} source - Stream adapter
+   * @returns {Readable} - Stream yang menghitung baris
+   * @private
+   */
+  _instrumentStream(source) {
+    const monitor = this.options.monitor;
+    if (!monitor) {
+      return source;
+    }
+
+    const start = process.hrtime.bigint();
+    const query = this._describe('stream');
+    let rows = 0;
+
+    return pipeline(source, new Transform({
+      objectMode: true,
+      transform: (row, encoding, callback) => {
+        rows += 1;
+        callback(null, row);
+      }
+    }), error => {
+      monitor.record(this._queryEvent('stream', start, error ? null : rows, error), () => query);
+    });
+  }
+
+  /**
+   * Menjalankan callback dengan state builder sementara lalu mengembalikan state semula
+   * @param {Object} state - Properti builder yang diganti sementara
+   * @param {Function} callback - Fungsi async yang dijalankan
+   * @returns {Promise<any>} - Hasil callback
+   * @private
+   */
+  async _withState(state, callback) {
+    const original = {};
+    Object.keys(state).forEach(key => {
+      original[key] = this[key];
+      this[key] = state[key];
+    });
+
+    try {
+      return await callback();
+    } finally {
+      Object.assign(this, original);
+    }
+  }
+
+  /**
+   * Memvalidasi bilangan bulat positif (dapat berupa string dari query string)
+   * @param {any} value - Nilai
+   * @param {string} name - Nama opsi untuk pesan error
+   * @returns {number} - Nilai sebagai angka
+   * @private
+   */
+  _positiveInteger(value, name) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`${name} harus berupa bilangan bulat positif`);
+    }
+    return number;
+  }
+
+  /**
+   * Menyisipkan data baru.
+   * Setelah hook beforeInsert, data divalidasi dan diberi nilai default jika tabel memiliki definisi field.
+   * Jika timestamps aktif, created_at dan updated_at diisi jika tidak diberikan
+   * @param {Object|Array} data - Data yang akan disisipkan
+   * @returns {Promise<Array>} - Baris yang disisipkan dengan ID
+   */
+  async insert(data) {
+    const prepare = payload => Array.isArray(payload) ? payload.map(row => this._prepareRow(row)) : this._prepareRow(payload);
+
+    const result = await this._withHooks('insert', ['beforeInsert'], ['afterInsert'], data, payload => {
+      return this._invalidating(() => this._instrument('insert', payload, () => this.adapter.insert(this, payload)));
+    }, prepare);
+    return this._hideFields(result);
+  }
+
+  /**
+   * Memvalidasi data insert dengan model (jika ada) lalu mengisi timestamps
+   * @param {Object} row - Data insert
+   * @returns {Object} - Data insert yang siap disimpan
+   * @private
+   */
+  _prepareRow(row) {
+    const model = this._model();
+    return this._stamp(model ? model.validate(row) : row);
+  }
+
+  /**
+   * Mengisi created_at dan updated_at pada data insert jika timestamps aktif dan nilainya tidak diberikan
+   * @param {Object} row - Data insert
+   * @returns {Object} - Data insert
+   * @private
+   */
+  _stamp(row) {
+    const columns = this._timestampColumns();
+    if (!columns) {
+      return row;
+    }
+
+    const now = new Date();
+    return {
+      ...(columns.createdAt ? { [columns.createdAt]: now } : {}),
+      ...(columns.updatedAt ? { [columns.updatedAt]: now } : {}),
+      ...row
+    };
+  }
+
+  /**
+   * Menyisipkan data atau memperbarui data yang sudah ada berdasarkan field konflik
+   * (ON CONFLICT DO UPDATE / ON DUPLICATE KEY UPDATE di SQL, updateOne dengan upsert di MongoDB).
+   * Field yang tidak ada di update (termasuk default model dan created_at) hanya diisi untuk data baru
+   * @param {Object|Array} data - Data yang akan disisipkan atau diperbarui
+   * @param {Object} options - Opsi upsert
+   * @param {Array|string} options.conflictOn - Field unik untuk mendeteksi data yang sudah ada (default: primary key)
+   * @param {Array|string} options.update - Field yang diperbarui jika data sudah ada
+   *   (default: field yang ada di semua data kecuali conflictOn)
+   * @returns {Promise<Object|Array>} - Data hasil upsert
+   */
+  async upsert(data, { conflictOn, update } = {}) {
+    this._assertSupports('upsert', 'upsert');
+
+    const conflict = [].concat(conflictOn || this._primaryKey());
+    const rows = [].concat(data);
+
+    if (rows.length === 0) {
+      throw new Error('upsert() membutuhkan minimal satu data');
+    }
+    rows.forEach(row => conflict.forEach(field => {
+      if (row[field] === undefined || row[field] === null) {
+        throw new Error(`upsert() membutuhkan nilai "${field}" pada setiap data`);
+      }
+    }));
+
+    // Tanpa opsi update, hanya field yang ada di semua data yang diperbarui,
+    // karena INSERT banyak baris di SQL mengisi kolom yang tidak dikirim dengan DEFAULT
+    const updated = update
+      ? [].concat(update)
+      : Object.keys(rows[0]).filter(field => !conflict.includes(field) && rows.every(row => row[field] !== undefined));
+    const columns = this._timestampColumns();
+    if (columns && columns.updatedAt && !updated.includes(columns.updatedAt)) {
+      updated.push(columns.updatedAt);
+    }
+
+    const result = await this._withHooks('upsert', ['beforeInsert'], ['afterInsert'], rows, payload => {
+      const options = { conflictOn: conflict, update: updated };
+      return this._invalidating(() => this._instrument('upsert', { rows: payload, ...options }, () => this.adapter.upsert(this, payload, options)));
+    }, payload => [].concat(payload).map(row => this._prepareRow(row)));
+
+    const visible = this._hideFields(result);
+    return Array.isArray(data) ? visible : visible[0] || null;
+  }
+
+  /**
+   * Memperbarui data.
+   * Setelah hook beforeUpdate, hanya field yang dikirim yang divalidasi jika tabel memiliki definisi field.
+   * Jika timestamps aktif, updated_at diperbarui
+   * @param {Object} data - Data yang akan diperbarui
+   * @returns {Promise<number|Array>} - Jumlah baris yang diperbarui, atau baris jika returning() digunakan
+   */
+  async update(data) {
+    return this._update('update', data, {}, true);
+  }
+
+  /**
+   * Menambah nilai field secara atomik (field = field + jumlah)
+   * @param {string} field - Field angka
+   * @param {number} amount - Jumlah penambahan (default: 1)
+   * @param {Object} data - Data lain yang diperbarui bersamaan (opsional)
+   * @returns {Promise<number|Array>} - Jumlah baris yang diperbarui, atau baris jika returning() digunakan
+   */
+  async increment(field, amount = 1, data = {}) {
+    return this._increment('increment', field, amount, data);
+  }
+
+  /**
+   * Mengurangi nilai field secara atomik (field = field - jumlah)
+   * @param {string} field - Field angka
+   * @param {number} amount - Jumlah pengurangan (default: 1)
+   * @param {Object} data - Data lain yang diperbarui bersamaan (opsional)
+   * @returns {Promise<number|Array>} - Jumlah baris yang diperbarui, atau baris jika returning() digunakan
+   */
+  async decrement(field, amount = 1, data = {}) {
+    return this._increment('decrement', field, typeof amount === 'number' ? -amount : amount, data);
+  }
+
+  /**
+   * Menjalankan increment/decrement
+   * @param {string} operation - Nama operasi
+   * @param {string} field - Field angka
+   * @param {number} amount - Jumlah penambahan (negatif untuk pengurangan)
+   * @param {Object} data - Data lain yang diperbarui bersamaan
+   * @returns {Promise<number|Array>} - Hasil update
+   * @private
+   */
+  async _increment(operation, field, amount, data) {
+    this._assertSupports('atomicUpdates', operation);
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+      throw new Error(`${operation}() membutuhkan jumlah berupa angka`);
+    }
+
+    const model = this._model();
+    if (model) {
+      model.validate({ [field]: amount }, { partial: true });
+      if (!['number', 'integer'].includes(model.fields[field].type)) {
+        throw Model.validationError(this.collection, [{ field, message: `harus berupa angka untuk ${operation}()` }]);
+      }
+    }
+
+    return this._update(operation, data, { increment: { [field]: amount } }, true);
+  }
+
+  /**
+   * Menghapus field dari data ($unset di MongoDB, diisi NULL di SQL)
+   * @param {...string} fields - Field yang dihapus
+   * @returns {Promise<number|Array>} - Jumlah baris yang diperbarui, atau baris jika returning() digunakan
+   */
+  async unset(...fields) {
+    this._assertSupports('atomicUpdates', 'unset');
+
+    const list = fields.flat();
+    if (list.length === 0) {
+      throw new Error('unset() membutuhkan minimal satu field');
+    }
+
+    const model = this._model();
+    if (model) {
+      model.validate(Object.fromEntries(list.map(field => [field, null])), { partial: true });
+    }
+
+    return this._update('unset', {}, { unset: list });
+  }
+
+  /**
+   * Menjalankan update melalui hook beforeUpdate/afterUpdate dengan kondisi soft delete.
+   * Validasi model dan updated_at diterapkan setelah hook sebelum update
+   * @param {string} operation - Nama operasi untuk hook
+   * @param {Object} data - Data yang akan diperbarui
+   * @param {Object} operations - { increment, unset } (opsional)
+   * @param {boolean} validate - Validasi data dengan model (default: false)
+   * @returns {Promise<number|Array>} - Jumlah baris, atau baris jika returning() digunakan
+   * @private
+   */
+  async _update(operation, data, operations = {}, validate = false) {
+    const model = validate ? this._model() : null;
+    const prepare = payload => this._touch(model ? model.validate(payload, { partial: true }) : payload);
+
+    const result = await this._withHooks(operation, ['beforeQuery', 'beforeUpdate'], ['afterUpdate'], data, payload => {
+      return this._invalidating(() => this._scoped(() => this._adapterUpdate(payload, operations)));
+    }, prepare);
+    return this._hideFields(result);
+  }
+
+  /**
+   * Memanggil update adapter dan mencatatnya ke monitor
+   * @param {Object} data - Data yang akan diperbarui
+   * @param {Object} operations - { increment, unset } (opsional)
+   * @returns {Promise<number|Array>} - Hasil update adapter
+   * @private
+   */
+  _adapterUpdate(data, operations = {}) {
+    return this._instrument('update', { data, operations }, () => this.adapter.update(this, data, operations));
+  }
+
+  /**
+   * Menambahkan updated_at ke data update jika timestamps aktif dan nilainya tidak diberikan
+   * @param {Object} data - Data update
+   * @returns {Object} - Data update
+   * @private
+   */
+  _touch(data) {
+    const columns = this._timestampColumns();
+    return columns && columns.updatedAt ? { [columns.updatedAt]: new Date(), ...data } : data;
+  }
+
+  /**
+   * Menghapus data.
+   * Jika soft delete aktif, data hanya ditandai dengan deleted_at (lihat forceDelete())
+   * @returns {Promise<number|Array>} - Jumlah baris yang dihapus, atau baris jika returning() digunakan
+   */
+  async delete() {
+    const column = this._softDeleteColumn();
+
+    const result = await this._withHooks('delete', ['beforeQuery', 'beforeDelete'], ['afterDelete'], undefined, () => {
+      return this._invalidating(() => this._scoped(() => {
+        if (!column) {
+          return this._instrument('delete', undefined, () => this.adapter.delete(this));
+        }
+        return this._adapterUpdate(this._touch({ [column]: new Date() }));
+      }));
+    });
+    return this._hideFields(result);
+  }
+
+  /**
+   * Menghapus data secara permanen walaupun soft delete aktif.
+   * Data yang sudah di-soft delete hanya ikut dihapus dengan withTrashed() atau onlyTrashed()
+   * @returns {Promise<number|Array>} - Jumlah baris yang dihapus, atau baris jika returning() digunakan
+   */
+  async forceDelete() {
+    const result = await this._withHooks('forceDelete', ['beforeQuery', 'beforeDelete'], ['afterDelete'], undefined, () => {
+      return this._invalidating(() => this._scoped(() => this._instrument('delete', undefined, () => this.adapter.delete(this))));
+    });
+    return this._hideFields(result);
+  }
+
+  /**
+   * Mengembalikan data yang sudah di-soft delete
+   * @returns {Promise<number|Array>} - Jumlah baris yang dikembalikan, atau baris jika returning() digunakan
+   */
+  async restore() {
+    const column = this._softDeleteColumn();
+    if (!column) {
+      throw new Error(`Tabel "${this.collection}" tidak menggunakan soft delete`);
+    }
+
+    return this._withState({ trashed: 'only' }, () => this._update('restore', { [column]: null }));
+  }
+
+  /**
+   * Menghitung jumlah data
+   * @param {string} field - Field untuk dihitung (default: *)
+   * @returns {Promise<number>} - Jumlah data
+   */
+  async count(field = '*') {
+    return this._withHooks('count', ['beforeQuery'], ['afterQuery'], undefined, () => this._cached('count', field, () => {
+      return this._scoped(() => this._instrument('count', field, () => this.adapter.count(this, field)));
+    }));
+  }
+
+  /**
+   * Menjalankan beberapa fungsi agregat sekaligus
+   * @param {Object} aggregates - Agregat bernama, misal { total: { sum: 'amount' }, orders: { count: '*' } }
+   * @returns {Promise<Object|Array>} - Satu objek hasil, atau array per group jika groupBy() digunakan
+   */
+  async aggregate(aggregates) {
+    this._assertSupports('aggregates', 'aggregate');
+    const specs = this._normalizeAggregates(aggregates);
+    const rows = await this._withHooks('aggregate', ['beforeQuery'], ['afterQuery'], undefined, async () => {
+      const result = await this._scoped(() => this._instrument('aggregate', specs, () => this.adapter.aggregate(this, specs)));
+      return result.map(row => this._castAggregateRow(row, specs));
+    });
+
+    if (this.groups.length > 0) {
+      return rows;
+    }
+
+    // Tanpa groupBy SQL selalu mengembalikan satu baris, MongoDB tidak mengembalikan apa pun
+    return rows[0] || Object.fromEntries(specs.map(({ alias, fn }) => [alias, fn === 'count' ? 0 : null]));
+  }
+
+  /**
+   * Menjumlahkan nilai field
+   * @param {string} field - Field yang dijumlahkan
+   * @returns {Promise<number|Array>} - Hasil, atau array per group jika groupBy() digunakan
+   */
+  async sum(field) {
+    return this._aggregateOne('sum', field);
+  }
+
+  /**
+   * Menghitung rata-rata nilai field
+   * @param {string} field - Field yang dihitung rata-ratanya
+   * @returns {Promise<number|Array>} - Hasil, atau array per group jika groupBy() digunakan
+   */
+  async avg(field) {
+    return this._aggregateOne('avg', field);
+  }
+
+  /**
+   * Mendapatkan nilai terkecil dari field
+   * @param {string} field - Field yang dicari nilai terkecilnya
+   * @returns {Promise<any|Array>} - Hasil, atau array per group jika groupBy() digunakan
+   */
+  async min(field) {
+    return this._aggregateOne('min', field);
+  }
+
+  /**
+   * Mendapatkan nilai terbesar dari field
+   * @param {string} field - Field yang dicari nilai terbesarnya
+   * @returns {Promise<any|Array>} - Hasil, atau array per group jika groupBy() digunakan
+   */
+  async max(field) {
+    return this._aggregateOne('max', field);
+  }
+
+  /**
+   * Mengambil nilai unik dari sebuah field
+   * @param {string} field - Field yang akan diambil nilai uniknya
+   * @returns {Promise<Array>} - Daftar nilai unik
+   */
+  async distinct(field) {
+    this._assertSupports('aggregates', 'distinct');
+    return this._withHooks('distinct', ['beforeQuery'], ['afterQuery'], undefined, () => {
+      return this._scoped(() => this._instrument('distinct', field, () => this.adapter.distinct(this, field)));
+    });
+  }
+
+  /**
+   * Menjalankan satu fungsi agregat
+   * @param {string} fn - Nama fungsi agregat
+   * @param {string} field - Field yang diagregasi
+   * @returns {Promise<any|Array>} - Hasil agregasi
+   * @private
+   */
+  async _aggregateOne(fn, field) {
+    const result = await this.aggregate({ [fn]: { [fn]: field } });
+    return this.groups.length > 0 ? result : result[fn];
+  }
+
+  /**
+   * Menormalkan definisi agregat menjadi daftar { alias, fn, field }
+   * @param {Object} aggregates - Agregat bernama
+   * @returns {Array} - Daftar agregat
+   * @private
+   */
+  _normalizeAggregates(aggregates) {
+    const specs = Object.keys(aggregates || {}).map(alias => {
+      const definition = aggregates[alias] || {};
+      const fns = Object.keys(definition);
+
+      if (fns.length !== 1 || !AGGREGATE_FUNCTIONS.includes(fns[0])) {
+        throw new Error(`Agregat "${alias}" harus berupa { fungsi: field } dengan fungsi ${AGGREGATE_FUNCTIONS.join(', ')}`);
+      }
+
+      return { alias, fn: fns[0], field: definition[fns[0]] };
+    });
+
+    if (specs.length === 0) {
+      throw new Error('aggregate() membutuhkan minimal satu agregat');
+    }
+
+    return specs;
+  }
+
+  /**
+   * Menyeragamkan tipe hasil agregasi antar engine.
+   * Driver SQL dapat mengembalikan count/sum/avg sebagai string (bigint/numeric)
+   * @param {Object} row - Baris hasil agregasi
+   * @param {Array} specs - Daftar agregat
+   * @returns {Object} - Baris dengan nilai numerik
+   * @private
+   */
+  _castAggregateRow(row, specs) {
+    const result = { ...row };
+
+    specs.forEach(({ alias, fn }) => {
+      if (['count', 'sum', 'avg'].includes(fn) && result[alias] !== null && result[alias] !== undefined) {
+        result[alias] = Number(result[alias]);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Menjalankan callback di dalam transaksi.
+   * Callback menerima factory `trx(tableName)` yang membuat query builder
+   * terikat ke transaksi (trx knex atau ClientSession MongoDB).
+   * Transaksi di-commit jika callback berhasil dan di-rollback jika melempar error.
+   * `trx.transaction(fn)` membuat transaksi bersarang (savepoint di SQL).
+   * Cache tabel yang ditulis di dalam transaksi baru dihapus setelah transaksi terluar di-commit
+   * @param {Function} callback - Fungsi async yang menerima factory trx
+   * @returns {Promise<any>} - Hasil callback
+   */
+  async transaction(callback) {
+    this._assertSupports('transactions', 'transaction');
+
+    const outer = !this.options.pendingInvalidations;
+    const pendingInvalidations = this.options.pendingInvalidations || new Set();
+    const result = await this.adapter.transaction(handle => {
+      const options = { ...this.options, transaction: handle, pendingInvalidations };
+      const trx = tableName => new this.constructor(this.fastify, options).from(tableName);
+      trx.transaction = nested => new this.constructor(this.fastify, options).transaction(nested);
+      return callback(trx);
+    });
+
+    if (outer && this.options.cacheStore && pendingInvalidations.size > 0) {
+      await this.options.cacheStore.invalidateTags([...pendingInvalidations]);
+    }
+    return result;
+  }
+
+  /**
+   * Mendapatkan query SQL (hanya untuk SQL database)
+   * @returns {string} - Query SQL
+   */
+  toSQL() {
+    if (typeof this.adapter.toSQL !== 'function') {
+      throw new Error('toSQL() hanya tersedia untuk SQL database, gunakan toQuery()');
+    }
+    return this._scoped(() => this.adapter.toSQL(this));
+  }
+
+  /**
+   * Mendapatkan query native yang akan dijalankan get(): { sql, bindings } untuk SQL,
+   * { collection, method, filter, options } atau { collection, method, pipeline } untuk MongoDB.
+   * Kondisi dari hook beforeQuery tidak termasuk karena hook bersifat async
+   * @returns {Object} - Query native
+   */
+  toQuery() {
+    if (typeof this.adapter.describe !== 'function') {
+      throw new Error(`toQuery() tidak didukung oleh engine "${this.dbEngine}"`);
+    }
+    return this._scoped(() => this.adapter.describe(this, 'get'));
+  }
+
+  /**
+   * Menjalankan EXPLAIN (SQL) atau cursor.explain() (MongoDB) untuk query get()
+   * @returns {Promise<Object>} - { engine, query, indexes, fullScan, plan }: index yang digunakan,
+   *   apakah ada scan seluruh tabel/koleksi, dan rencana asli dari database
+   */
+  async explain() {
+    this._assertSupports('explain', 'explain');
+    return this._withHooks('explain', ['beforeQuery'], [], undefined, () => {
+      return this._scoped(() => this.adapter.explain(this));
+    });
+  }
+}
+
+QueryBuilder.HOOKS = HOOKS;
 
 module.exports = QueryBuilder; 
\ No newline at end of file
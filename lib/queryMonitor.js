@@ -0,0 +1,101 @@
+/**
+ * Query Monitor
+ * Mencatat setiap query (engine, tabel, operasi, durasi, jumlah baris dan query yang disamarkan)
+ * ke logger Fastify dan memancarkan event untuk collector metrik
+ */
+
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Context request aktif (diisi oleh hook onRequest plugin) untuk request id dan route
+ */
+const storage = new AsyncLocalStorage();
+
+class QueryMonitor extends EventEmitter {
+  /**
+   * @param {Object} options - Opsi monitor
+   * @param {Object} options.logger - Logger default (fastify.log), request.log digunakan jika ada
+   * @param {string} options.logLevel - Level log untuk query biasa (default: 'debug')
+   * @param {number} options.slowQueryThreshold - Batas durasi dalam ms untuk log warn (opsional)
+   */
+  constructor({ logger = null, logLevel = 'debug', slowQueryThreshold = null } = {}) {
+    super();
+
+    if (slowQueryThreshold !== null && (typeof slowQueryThreshold !== 'number' || slowQueryThreshold < 0)) {
+      throw new Error('slowQueryThreshold harus berupa angka (ms) yang tidak negatif');
+    }
+
+    this.logger = logger;
+    this.logLevel = logLevel;
+    this.slowQueryThreshold = slowQueryThreshold;
+  }
+
+  /**
+   * Menjalankan callback dengan context request, sehingga query di dalamnya dicatat dengan request id
+   * @param {Object} context - Context ({ request })
+   * @param {Function} callback - Fungsi yang dijalankan
+   * @returns {any} - Hasil callback
+   */
+  static run(context, callback) {
+    return storage.run(context, callback);
+  }
+
+  /**
+   * Mendapatkan context request aktif
+   * @returns {Object|null} - Context ({ request }) atau null
+   */
+  static context() {
+    return storage.getStore() || null;
+  }
+
+  /**
+   * Mengecek apakah logger mencatat level tertentu
+   * @param {Object} logger - Logger
+   * @param {string} level - Level log
+   * @returns {boolean} - True jika level dicatat
+   */
+  _levelEnabled(logger, level) {
+    if (!logger || typeof logger[level] !== 'function') {
+      return false;
+    }
+    return typeof logger.isLevelEnabled === 'function' ? logger.isLevelEnabled(level) : logger.level !== 'silent';
+  }
+
+  /**
+   * Mencatat satu query. Deskripsi query hanya dibuat jika ada yang mencatat atau mendengarkan event
+   * @param {Object} event - { engine, connection, table, operation, duration, rows, error }
+   * @param {Function} describe - Fungsi yang mengembalikan query yang sudah disamarkan
+   */
+  record(event, describe) {
+    const context = QueryMonitor.context();
+    const request = context && context.request;
+    const logger = (request && request.log) || this.logger;
+    const slow = this.slowQueryThreshold !== null && event.duration >= this.slowQueryThreshold;
+
+    if (!slow && this.listenerCount('query') === 0 && !this._levelEnabled(logger, this.logLevel)) {
+      return;
+    }
+
+    const entry = {
+      ...event,
+      query: describe(),
+      slow,
+      requestId: request ? request.id : null,
+      route: request ? (request.routeOptions?.url || null) : null
+    };
+
+    this.emit('query', entry);
+    if (slow) {
+      this.emit('slowQuery', entry);
+    }
+
+    if (slow && this._levelEnabled(logger, 'warn')) {
+      logger.warn({ query: entry }, `Query lambat pada "${entry.table}" (${entry.duration} ms)`);
+    } else if (!slow && this._levelEnabled(logger, this.logLevel)) {
+      logger[this.logLevel]({ query: entry }, `Query ${entry.operation} pada "${entry.table}" (${entry.duration} ms)`);
+    }
+  }
+}
+
+module.exports = QueryMonitor;
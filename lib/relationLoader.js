@@ -0,0 +1,272 @@
+/**
+ * Relation Loader
+ * Memuat relasi (eager loading) dengan satu query lanjutan per relasi untuk menghindari N+1
+ */
+
+const Model = require('./model');
+
+/**
+ * Jenis relasi yang didukung
+ */
+const RELATION_TYPES = ['hasOne', 'hasMany', 'belongsTo', 'belongsToMany'];
+
+/**
+ * Opsi yang wajib ada untuk setiap jenis relasi
+ */
+const REQUIRED_OPTIONS = {
+  hasOne: ['table', 'foreignKey'],
+  hasMany: ['table', 'foreignKey'],
+  belongsTo: ['table', 'foreignKey'],
+  belongsToMany: ['table', 'pivot', 'foreignPivotKey', 'relatedPivotKey']
+};
+
+class RelationLoader {
+  /**
+   * @param {QueryBuilder} builder - Query builder induk
+   */
+  constructor(builder) {
+    this.builder = builder;
+  }
+
+  /**
+   * Memvalidasi definisi relasi sebuah tabel
+   * @param {string} table - Nama tabel atau koleksi
+   * @param {Object} relations - Definisi relasi per nama
+   */
+  static validateRelations(table, relations = {}) {
+    Object.keys(relations).forEach(name => {
+      const relation = relations[name] || {};
+
+      if (!RELATION_TYPES.includes(relation.type)) {
+        throw new Error(`Relasi "${name}" pada "${table}" harus bertipe ${RELATION_TYPES.join(', ')}`);
+      }
+
+      REQUIRED_OPTIONS[relation.type].forEach(option => {
+        if (!relation[option]) {
+          throw new Error(`Relasi "${name}" pada "${table}" membutuhkan opsi ${option}`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Menyusun daftar relasi (termasuk path bersarang seperti 'orders.items') menjadi pohon
+   * @param {Object} withs - Relasi yang diminta ({ path: callback|null })
+   * @returns {Object} - Pohon relasi ({ nama: { constraint, children } })
+   */
+  static buildTree(withs) {
+    const tree = {};
+
+    Object.keys(withs).forEach(path => {
+      let level = tree;
+      const segments = path.split('.');
+
+      segments.forEach((segment, index) => {
+        if (!level[segment]) {
+          level[segment] = { constraint: null, children: {} };
+        }
+        if (index === segments.length - 1 && withs[path]) {
+          level[segment].constraint = withs[path];
+        }
+        level = level[segment].children;
+      });
+    });
+
+    return tree;
+  }
+
+  /**
+   * Memuat semua relasi yang diminta ke dalam baris hasil
+   * @param {Array} rows - Baris hasil query induk
+   * @param {Object} withs - Relasi yang diminta ({ path: callback|null })
+   * @returns {Promise<Array>} - Baris dengan relasi
+   */
+  async load(rows, withs) {
+    await this._loadTree(this.builder.collection, rows, RelationLoader.buildTree(withs));
+    return rows;
+  }
+
+  /**
+   * Memuat satu level pohon relasi lalu melanjutkan ke level berikutnya
+   * @param {string} table - Nama tabel atau koleksi induk
+   * @param {Array} rows - Baris induk
+   * @param {Object} tree - Pohon relasi untuk level ini
+   * @returns {Promise<void>}
+   */
+  async _loadTree(table, rows, tree) {
+    for (const name of Object.keys(tree)) {
+      const relation = this._getRelation(table, name);
+      const related = await this._loadRelation(table, relation, name, rows, tree[name].constraint);
+      const children = tree[name].children;
+
+      if (Object.keys(children).length > 0 && related.length > 0) {
+        await this._loadTree(relation.table, related, children);
+      }
+
+      // Field hidden baru dihapus setelah semua key relasi bersarang dicocokkan
+      this._hideFields(relation.table, related);
+    }
+  }
+
+  /**
+   * Menghapus field hidden dari baris relasi kecuali query induk menggunakan withHidden()
+   * @param {string} table - Nama tabel atau koleksi relasi
+   * @param {Array} rows - Baris relasi
+   */
+  _hideFields(table, rows) {
+    const model = Model.fromOptions(this.builder.options, table);
+    if (model && !this.builder.includeHidden) {
+      model.hide(rows);
+    }
+  }
+
+  /**
+   * Mendapatkan definisi relasi
+   * @param {string} table - Nama tabel atau koleksi
+   * @param {string} name - Nama relasi
+   * @returns {Object} - Definisi relasi
+   */
+  _getRelation(table, name) {
+    const tables = this.builder.options.tables || {};
+    const relation = tables[table]?.relations?.[name];
+
+    if (!relation) {
+      throw new Error(`Relasi "${name}" tidak didefinisikan untuk "${table}"`);
+    }
+
+    return relation;
+  }
+
+  /**
+   * Membuat query untuk tabel relasi dengan constraint opsional
+   * @param {string} table - Nama tabel atau koleksi
+   * @param {Function|null} constraint - Callback untuk menambahkan kondisi
+   * @returns {QueryBuilder} - Query builder baru
+   */
+  _query(table, constraint) {
+    // Field hidden tetap dimuat karena dapat menjadi key relasi
+    const query = this.builder._newQuery(table).withHidden();
+    if (constraint) {
+      constraint(query);
+    }
+    return query;
+  }
+
+  /**
+   * Mendapatkan primary key tabel (opsi primaryKey, default '_id' untuk MongoDB dan 'id' untuk engine lain)
+   * sebagai default localKey, ownerKey dan relatedKey
+   * @param {string} table - Nama tabel atau koleksi
+   * @returns {string} - Nama primary key
+   */
+  _primaryKey(table) {
+    return this.builder._newQuery(table)._primaryKey();
+  }
+
+  /**
+   * Mengambil nilai unik dari sebuah key pada baris
+   * @param {Array} rows - Baris data
+   * @param {string} key - Nama key
+   * @returns {Array} - Nilai unik yang tidak null
+   */
+  _keys(rows, key) {
+    const keys = new Map();
+    rows.forEach(row => {
+      const value = row[key];
+      if (value !== null && value !== undefined) {
+        keys.set(String(value), value);
+      }
+    });
+    return [...keys.values()];
+  }
+
+  /**
+   * Mengelompokkan baris berdasarkan nilai key
+   * (key dibandingkan sebagai string agar ObjectId dapat dicocokkan)
+   * @param {Array} rows - Baris data
+   * @param {string} key - Nama key
+   * @returns {Map} - Baris per nilai key
+   */
+  _groupBy(rows, key) {
+    const groups = new Map();
+    rows.forEach(row => {
+      const value = String(row[key]);
+      if (!groups.has(value)) {
+        groups.set(value, []);
+      }
+      groups.get(value).push(row);
+    });
+    return groups;
+  }
+
+  /**
+   * Memuat satu relasi untuk semua baris induk
+   * @param {string} table - Nama tabel atau koleksi induk
+   * @param {Object} relation - Definisi relasi
+   * @param {string} name - Nama relasi (nama field hasil)
+   * @param {Array} rows - Baris induk
+   * @param {Function|null} constraint - Callback untuk menambahkan kondisi
+   * @returns {Promise<Array>} - Semua baris relasi yang dimuat
+   */
+  async _loadRelation(table, relation, name, rows, constraint) {
+    switch (relation.type) {
+      case 'hasOne':
+      case 'hasMany': {
+        const localKey = relation.localKey || this._primaryKey(table);
+        const keys = this._keys(rows, localKey);
+        const related = keys.length > 0
+          ? await this._query(relation.table, constraint).whereIn(relation.foreignKey, keys).get()
+          : [];
+        const groups = this._groupBy(related, relation.foreignKey);
+
+        rows.forEach(row => {
+          const matches = groups.get(String(row[localKey])) || [];
+          row[name] = relation.type === 'hasOne' ? (matches[0] || null) : matches;
+        });
+        return related;
+      }
+
+      case 'belongsTo': {
+        const ownerKey = relation.ownerKey || this._primaryKey(relation.table);
+        const keys = this._keys(rows, relation.foreignKey);
+        const related = keys.length > 0
+          ? await this._query(relation.table, constraint).whereIn(ownerKey, keys).get()
+          : [];
+        const groups = this._groupBy(related, ownerKey);
+
+        rows.forEach(row => {
+          row[name] = (groups.get(String(row[relation.foreignKey])) || [])[0] || null;
+        });
+        return related;
+      }
+
+      case 'belongsToMany': {
+        const localKey = relation.localKey || this._primaryKey(table);
+        const relatedKey = relation.relatedKey || this._primaryKey(relation.table);
+        const keys = this._keys(rows, localKey);
+        const pivots = keys.length > 0
+          ? await this._query(relation.pivot).whereIn(relation.foreignPivotKey, keys).get()
+          : [];
+        const relatedIds = this._keys(pivots, relation.relatedPivotKey);
+        const related = relatedIds.length > 0
+          ? await this._query(relation.table, constraint).whereIn(relatedKey, relatedIds).get()
+          : [];
+        const relatedById = this._groupBy(related, relatedKey);
+        const pivotsByParent = this._groupBy(pivots, relation.foreignPivotKey);
+
+        rows.forEach(row => {
+          row[name] = (pivotsByParent.get(String(row[localKey])) || [])
+            .map(pivot => (relatedById.get(String(pivot[relation.relatedPivotKey])) || [])[0])
+            .filter(Boolean);
+        });
+        return related;
+      }
+
+      default:
+        throw new Error(`Jenis relasi "${relation.type}" tidak didukung`);
+    }
+  }
+}
+
+RelationLoader.RELATION_TYPES = RELATION_TYPES;
+
+module.exports = RelationLoader;
@@ -0,0 +1,352 @@
+/**
+ * Request Query
+ * Menerjemahkan query string HTTP (filter, sort, fields, page, limit) menjadi
+ * pemanggilan query builder berdasarkan allow-list per route
+ */
+
+/**
+ * Operator query string dan operator query builder yang sesuai
+ */
+const OPERATORS = {
+  eq: '=',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  like: 'like',
+  ilike: 'ilike',
+  in: 'in',
+  nin: 'not in',
+  between: 'between',
+  null: 'null'
+};
+
+/**
+ * Tipe nilai filter yang didukung
+ */
+const TYPES = ['string', 'number', 'integer', 'boolean', 'date'];
+
+/**
+ * Key yang tidak boleh digunakan saat menyusun objek dari query string
+ */
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Parameter query string yang dikenali
+ */
+const PARAMS = ['filter', 'sort', 'fields', 'page', 'limit'];
+
+class RequestQuery {
+  /**
+   * @param {Object} options - Opsi
+   * @param {Object} options.allow - Allow-list: { filter: { field: { type, operators } }, sort: [...], fields: [...] }
+   * @param {number} options.maxLimit - Nilai limit maksimum (default: 100)
+   * @param {number} options.defaultLimit - Limit jika parameter limit tidak diberikan (opsional)
+   */
+  constructor({ allow = {}, maxLimit = 100, defaultLimit = null } = {}) {
+    this.allow = allow;
+    this.maxLimit = maxLimit;
+    this.defaultLimit = defaultLimit;
+    this.filters = this._normalizeFilterRules(allow.filter || {});
+  }
+
+  /**
+   * Membuat error validasi dengan status HTTP 400
+   * @param {string} message - Pesan error
+   * @returns {Error} - Error dengan statusCode 400
+   */
+  static badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * Menormalkan aturan filter. Aturan dapat berupa daftar operator (tipe string)
+   * atau { type, operators } dengan operator default ['eq']
+   * @param {Object} rules - Aturan filter per field
+   * @returns {Object} - Aturan { type, operators } per field
+   */
+  _normalizeFilterRules(rules) {
+    const normalized = {};
+
+    Object.keys(rules).forEach(field => {
+      const rule = Array.isArray(rules[field]) ? { operators: rules[field] } : { ...rules[field] };
+      rule.type = rule.type || 'string';
+      rule.operators = rule.operators || ['eq'];
+
+      if (!TYPES.includes(rule.type)) {
+        throw new Error(`Tipe filter "${rule.type}" untuk "${field}" tidak didukung. Tipe yang tersedia: ${TYPES.join(', ')}`);
+      }
+
+      const unknown = rule.operators.filter(operator => !Object.prototype.hasOwnProperty.call(OPERATORS, operator));
+      if (unknown.length > 0) {
+        throw new Error(`Operator filter ${unknown.join(', ')} untuk "${field}" tidak didukung. Operator yang tersedia: ${Object.keys(OPERATORS).join(', ')}`);
+      }
+
+      normalized[field] = rule;
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Mengubah key dengan kurung siku ('filter[age][gte]') menjadi objek bersarang.
+   * Query string yang sudah di-parse secara bersarang (misalnya dengan qs) tetap didukung
+   * @param {Object} query - Query string yang sudah di-parse
+   * @returns {Object} - Query string bersarang
+   */
+  _normalize(query) {
+    const result = {};
+
+    Object.keys(query || {}).forEach(key => {
+      const match = /^([^[\]]+)((?:\[[^[\]]*\])*)$/.exec(key);
+      const path = match
+        ? [match[1], ...(match[2].match(/[^[\]]+/g) || [])]
+        : [key];
+
+      if (path.some(segment => UNSAFE_KEYS.includes(segment))) {
+        throw RequestQuery.badRequest(`Parameter "${key}" tidak diizinkan`);
+      }
+
+      let target = result;
+      path.slice(0, -1).forEach(segment => {
+        if (typeof target[segment] !== 'object' || target[segment] === null || Array.isArray(target[segment])) {
+          target[segment] = {};
+        }
+        target = target[segment];
+      });
+
+      const last = path[path.length - 1];
+      const value = query[key];
+      target[last] = typeof value === 'object' && value !== null && !Array.isArray(value) && typeof target[last] === 'object'
+        ? { ...target[last], ...value }
+        : value;
+    });
+
+    return result;
+  }
+
+  /**
+   * Menerapkan query string ke query builder.
+   * Parameter selain filter, sort, fields, page dan limit ditolak agar salah ketik tidak diabaikan diam-diam
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} query - Query string (request.query)
+   * @returns {QueryBuilder} - Instance query builder
+   */
+  apply(builder, query) {
+    const params = this._normalize(query);
+
+    const unknown = Object.keys(params).filter(key => !PARAMS.includes(key));
+    if (unknown.length > 0) {
+      throw RequestQuery.badRequest(`Parameter "${unknown[0]}" tidak dikenal. Parameter yang tersedia: ${PARAMS.join(', ')}`);
+    }
+
+    if (params.filter !== undefined) {
+      this._applyFilters(builder, params.filter);
+    }
+    if (params.sort !== undefined) {
+      this._applySort(builder, params.sort);
+    }
+    if (params.fields !== undefined) {
+      this._applyFields(builder, params.fields);
+    }
+    this._applyPage(builder, params.page, params.limit);
+
+    return builder;
+  }
+
+  /**
+   * Menerapkan parameter filter sebagai kondisi where
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {Object} filter - Filter per field ({ age: { gte: '18' }, status: 'active' })
+   */
+  _applyFilters(builder, filter) {
+    if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+      throw RequestQuery.badRequest('Parameter filter harus berupa filter[field]=nilai');
+    }
+
+    Object.keys(filter).forEach(field => {
+      if (!Object.prototype.hasOwnProperty.call(this.filters, field)) {
+        throw RequestQuery.badRequest(`Filter pada field "${field}" tidak diizinkan`);
+      }
+
+      const rule = this.filters[field];
+      const value = filter[field];
+      const conditions = typeof value === 'object' && value !== null && !Array.isArray(value)
+        ? value
+        : { eq: value };
+
+      Object.keys(conditions).forEach(operator => {
+        if (!rule.operators.includes(operator)) {
+          throw RequestQuery.badRequest(`Operator "${operator}" pada field "${field}" tidak diizinkan`);
+        }
+        this._applyFilter(builder, field, operator, conditions[operator], rule.type);
+      });
+    });
+  }
+
+  /**
+   * Menerapkan satu filter
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} field - Nama field
+   * @param {string} operator - Operator query string (eq, gte, in, ...)
+   * @param {any} value - Nilai dari query string
+   * @param {string} type - Tipe nilai
+   */
+  _applyFilter(builder, field, operator, value, type) {
+    switch (operator) {
+      case 'null': {
+        const isNull = this._coerce(field, 'boolean', value);
+        builder[isNull ? 'whereNull' : 'whereNotNull'](field);
+        return;
+      }
+      case 'in':
+      case 'nin':
+        builder.where(field, OPERATORS[operator], this._list(value).map(item => this._coerce(field, type, item)));
+        return;
+      case 'between': {
+        const range = this._list(value);
+        if (range.length !== 2) {
+          throw RequestQuery.badRequest(`Filter between pada field "${field}" membutuhkan dua nilai (min,max)`);
+        }
+        builder.whereBetween(field, range.map(item => this._coerce(field, type, item)));
+        return;
+      }
+      default:
+        builder.where(field, OPERATORS[operator], this._coerce(field, type, value));
+    }
+  }
+
+  /**
+   * Mengubah nilai daftar (dipisah koma atau parameter berulang) menjadi array
+   * @param {string|Array} value - Nilai dari query string
+   * @returns {Array} - Daftar nilai
+   */
+  _list(value) {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(item => item !== '');
+  }
+
+  /**
+   * Mengubah nilai query string ke tipe field
+   * @param {string} field - Nama field
+   * @param {string} type - Tipe nilai
+   * @param {any} value - Nilai dari query string
+   * @returns {any} - Nilai dengan tipe yang sesuai
+   */
+  _coerce(field, type, value) {
+    if (Array.isArray(value) || (typeof value === 'object' && value !== null)) {
+      throw RequestQuery.badRequest(`Filter pada field "${field}" hanya menerima satu nilai`);
+    }
+
+    const text = String(value).trim();
+
+    switch (type) {
+      case 'number':
+      case 'integer': {
+        const number = text === '' ? NaN : Number(text);
+        if (Number.isNaN(number) || (type === 'integer' && !Number.isInteger(number))) {
+          throw RequestQuery.badRequest(`Nilai filter "${field}" harus berupa ${type === 'integer' ? 'bilangan bulat' : 'angka'}`);
+        }
+        return number;
+      }
+      case 'boolean':
+        if (['true', '1'].includes(text)) {
+          return true;
+        }
+        if (['false', '0'].includes(text)) {
+          return false;
+        }
+        throw RequestQuery.badRequest(`Nilai filter "${field}" harus berupa true atau false`);
+      case 'date': {
+        const date = new Date(text);
+        if (text === '' || Number.isNaN(date.getTime())) {
+          throw RequestQuery.badRequest(`Nilai filter "${field}" harus berupa tanggal`);
+        }
+        return date;
+      }
+      default:
+        return text;
+    }
+  }
+
+  /**
+   * Menerapkan parameter sort ('-created_at,name') sebagai orderBy
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} sort - Daftar field, awalan '-' untuk urutan menurun
+   */
+  _applySort(builder, sort) {
+    const allowed = this.allow.sort || [];
+
+    this._list(sort).forEach(item => {
+      const direction = item.startsWith('-') ? 'desc' : 'asc';
+      const field = item.replace(/^[-+]/, '');
+
+      if (!allowed.includes(field)) {
+        throw RequestQuery.badRequest(`Pengurutan berdasarkan field "${field}" tidak diizinkan`);
+      }
+      builder.orderBy(field, direction);
+    });
+  }
+
+  /**
+   * Menerapkan parameter fields ('id,name') sebagai select
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} fields - Daftar field
+   */
+  _applyFields(builder, fields) {
+    const allowed = this.allow.fields || [];
+    const selected = this._list(fields);
+
+    selected.forEach(field => {
+      if (!allowed.includes(field)) {
+        throw RequestQuery.badRequest(`Field "${field}" tidak diizinkan`);
+      }
+    });
+
+    if (selected.length > 0) {
+      builder.select(selected);
+    }
+  }
+
+  /**
+   * Menerapkan parameter page dan limit sebagai limit dan skip.
+   * Tanpa limit dan defaultLimit, maxLimit digunakan agar hasil selalu dibatasi
+   * @param {QueryBuilder} builder - Instance query builder
+   * @param {string} page - Nomor halaman, mulai dari 1 (opsional)
+   * @param {string} limit - Jumlah data per halaman (opsional)
+   */
+  _applyPage(builder, page, limit) {
+    const perPage = limit !== undefined ? this._positiveInteger('limit', limit) : (this.defaultLimit || this.maxLimit);
+
+    if (perPage > this.maxLimit) {
+      throw RequestQuery.badRequest(`limit tidak boleh lebih dari ${this.maxLimit}`);
+    }
+
+    if (page !== undefined) {
+      builder.skip((this._positiveInteger('page', page) - 1) * perPage);
+    }
+
+    builder.limit(perPage);
+  }
+
+  /**
+   * Memvalidasi bilangan bulat positif dari query string
+   * @param {string} name - Nama parameter
+   * @param {any} value - Nilai dari query string
+   * @returns {number} - Nilai sebagai angka
+   */
+  _positiveInteger(name, value) {
+    const number = Array.isArray(value) ? NaN : Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw RequestQuery.badRequest(`${name} harus berupa bilangan bulat positif`);
+    }
+    return number;
+  }
+}
+
+RequestQuery.OPERATORS = OPERATORS;
+
+module.exports = RequestQuery;
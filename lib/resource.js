@@ -0,0 +1,301 @@
+/**
+ * Resource
+ * Mendaftarkan route REST CRUD (list, get, create, update, delete) untuk satu tabel atau koleksi
+ */
+
+const { isMongoEngine } = require('./utils');
+
+/**
+ * Aksi yang didukung beserta method, path dan handler route
+ */
+const ACTIONS = {
+  list: { method: 'GET', path: '', handler: 'list' },
+  get: { method: 'GET', path: '/:id', handler: 'get' },
+  create: { method: 'POST', path: '', handler: 'create' },
+  update: { method: 'PUT', path: '/:id', handler: 'update' },
+  patch: { method: 'PATCH', path: '/:id', handler: 'update' },
+  delete: { method: 'DELETE', path: '/:id', handler: 'delete' }
+};
+
+class Resource {
+  /**
+   * @param {Object} fastify - Instance Fastify
+   * @param {string} name - Nama resource (path route)
+   * @param {Object} options - Opsi resource
+   * @param {string} options.table - Nama tabel atau koleksi (default: name)
+   * @param {Array} options.fields - Field yang ditampilkan dan dapat dipilih/diurutkan (opsional)
+   * @param {Object} options.schema - JSON Schema objek untuk body create/update
+   *   (default: schema dari definisi field tabel jika ada)
+   * @param {string} options.prefix - Prefix path route (opsional)
+   * @param {Object} options.filter - Allow-list filter untuk applyRequestQuery() pada list
+   * @param {Array} options.sort - Field yang dapat diurutkan (default: fields)
+   * @param {number} options.maxLimit - Limit maksimum per halaman (default: 100)
+   * @param {number} options.perPage - Jumlah data per halaman default (default: 20)
+   * @param {Array} options.routes - Aksi yang didaftarkan (default: semua)
+   * @param {Object} options.routeOptions - Opsi route Fastify per aksi, misal { list: { preHandler } }
+   * @param {Object} options.hooks - { query(query, request, action), serialize(row, request, action) }
+   * @param {Function} createQuery - Factory query builder untuk tabel (table => QueryBuilder)
+   */
+  constructor(fastify, name, options, createQuery) {
+    this.fastify = fastify;
+    this.name = name;
+    this.options = options;
+    this.table = options.table || name;
+    this.fields = options.fields || [];
+    this.hooks = options.hooks || {};
+    this.createQuery = createQuery;
+
+    const routes = options.routes || Object.keys(ACTIONS);
+    const unknown = routes.filter(action => !ACTIONS[action]);
+    if (unknown.length > 0) {
+      throw new Error(`Aksi resource ${unknown.join(', ')} tidak didukung. Aksi yang tersedia: ${Object.keys(ACTIONS).join(', ')}`);
+    }
+    this.routes = routes;
+
+    const query = this.createQuery(this.table);
+    this.primaryKey = options.primaryKey || query._primaryKey();
+    this.model = query._model();
+    this.isMongo = isMongoEngine(query.dbEngine);
+  }
+
+  /**
+   * Mendaftarkan semua route resource ke Fastify
+   * @returns {Resource} - Instance resource
+   */
+  register() {
+    const prefix = `${this.options.prefix || ''}/${this.name}`;
+
+    this.routes.forEach(action => {
+      const { method, path, handler } = ACTIONS[action];
+
+      this.fastify.route({
+        ...(this.options.routeOptions || {})[action],
+        method,
+        url: `${prefix}${path}`,
+        schema: this._schema(action),
+        // Semua error (termasuk validasi schema) menggunakan format response yang sama
+        errorHandler: (error, request, reply) => {
+          reply.code(error.statusCode || 500).send({ success: false, error: error.message });
+        },
+        handler: (request, reply) => this[`_${handler}`](request, reply)
+      });
+    });
+
+    return this;
+  }
+
+  /**
+   * Membuat JSON Schema route untuk sebuah aksi
+   * @param {string} action - Nama aksi
+   * @returns {Object} - Schema route Fastify
+   */
+  _schema(action) {
+    const schema = {};
+    const body = this.options.schema || (this.model && this.model.schema(action === 'patch' ? 'update' : 'create'));
+
+    if (ACTIONS[action].path === '/:id') {
+      const idType = this.options.idType || (this.isMongo ? 'string' : 'integer');
+      schema.params = {
+        type: 'object',
+        properties: { id: { type: idType } },
+        required: ['id']
+      };
+    }
+
+    if (action === 'list') {
+      schema.querystring = {
+        type: 'object',
+        properties: {
+          page: { type: 'integer', minimum: 1 },
+          limit: { type: 'integer', minimum: 1, maximum: this.options.maxLimit || 100 },
+          sort: { type: 'string' },
+          fields: { type: 'string' }
+        }
+      };
+    }
+
+    if (body && ['create', 'update', 'patch'].includes(action)) {
+      const objectSchema = body.properties ? body : { type: 'object', properties: body };
+      schema.body = { ...objectSchema, type: 'object', additionalProperties: false };
+
+      // PATCH hanya memperbarui sebagian field
+      if (action === 'patch') {
+        const { required, ...partial } = schema.body;
+        schema.body = { ...partial, minProperties: 1 };
+      }
+    }
+
+    return schema;
+  }
+
+  /**
+   * Membuat query untuk tabel resource dan menjalankan hook query
+   * @param {Object} request - Request Fastify
+   * @param {string} action - Nama aksi
+   * @returns {QueryBuilder} - Query builder
+   */
+  _query(request, action) {
+    const query = this.createQuery(this.table);
+
+    if (this.hooks.query) {
+      this.hooks.query(query, request, action);
+    }
+    return query;
+  }
+
+  /**
+   * Membuat query untuk satu data berdasarkan parameter id
+   * @param {Object} request - Request Fastify
+   * @param {string} action - Nama aksi
+   * @returns {QueryBuilder} - Query builder
+   */
+  _queryById(request, action) {
+    return this._query(request, action).where(this.primaryKey, this._castId(request.params.id));
+  }
+
+  /**
+   * Mengubah id dari URL menjadi ObjectId jika resource berada di MongoDB
+   * @param {any} id - Nilai id
+   * @returns {any} - Id untuk kondisi where
+   */
+  _castId(id) {
+    if (this.isMongo && this.primaryKey === '_id' && /^[0-9a-f]{24}$/i.test(String(id))) {
+      const { Types } = require('mongoose');
+      return new Types.ObjectId(String(id));
+    }
+    return id;
+  }
+
+  /**
+   * Menyiapkan baris untuk response: hanya field yang ditampilkan dan hook serialize
+   * @param {Object} row - Baris data
+   * @param {Object} request - Request Fastify
+   * @param {string} action - Nama aksi
+   * @returns {Object} - Baris untuk response
+   */
+  _present(row, request, action) {
+    let data = row;
+
+    if (this.fields.length > 0) {
+      data = {};
+      this.fields.forEach(field => {
+        if (field in row) {
+          data[field] = row[field];
+        }
+      });
+    }
+
+    return this.hooks.serialize ? this.hooks.serialize(data, request, action) : data;
+  }
+
+  /**
+   * Response 404 untuk data yang tidak ditemukan
+   * @param {Object} reply - Reply Fastify
+   * @returns {Object} - Body response
+   */
+  _notFound(reply) {
+    reply.code(404);
+    return { success: false, error: `${this.options.label || this.name} tidak ditemukan` };
+  }
+
+  /**
+   * GET /resource - daftar data dengan filter, sort, fields dan pagination
+   * @param {Object} request - Request Fastify
+   * @returns {Promise<Object>} - { success, data, meta }
+   */
+  async _list(request) {
+    const { page = 1, limit, ...params } = request.query || {};
+    const query = this._query(request, 'list');
+
+    if (this.fields.length > 0 && params.fields === undefined) {
+      query.select(this.fields);
+    }
+
+    query.applyRequestQuery(params, {
+      allow: {
+        filter: this.options.filter || {},
+        sort: this.options.sort || this.fields,
+        fields: this.fields
+      }
+    });
+
+    const result = await query.paginate({ page, perPage: limit || this.options.perPage || 20 });
+
+    return {
+      success: true,
+      data: result.data.map(row => this._present(row, request, 'list')),
+      meta: { total: result.total, page: result.page, perPage: result.perPage, lastPage: result.lastPage }
+    };
+  }
+
+  /**
+   * GET /resource/:id - satu data
+   * @param {Object} request - Request Fastify
+   * @param {Object} reply - Reply Fastify
+   * @returns {Promise<Object>} - { success, data }
+   */
+  async _get(request, reply) {
+    const query = this._queryById(request, 'get');
+    if (this.fields.length > 0) {
+      query.select(this.fields);
+    }
+
+    const row = await query.first();
+    if (!row) {
+      return this._notFound(reply);
+    }
+
+    return { success: true, data: this._present(row, request, 'get') };
+  }
+
+  /**
+   * POST /resource - menyisipkan data
+   * @param {Object} request - Request Fastify
+   * @param {Object} reply - Reply Fastify
+   * @returns {Promise<Object>} - { success, data }
+   */
+  async _create(request, reply) {
+    const [row] = await this._query(request, 'create').insert(request.body);
+
+    reply.code(201);
+    return { success: true, data: this._present(row, request, 'create') };
+  }
+
+  /**
+   * PUT/PATCH /resource/:id - memperbarui data (hook menerima aksi 'update')
+   * @param {Object} request - Request Fastify
+   * @param {Object} reply - Reply Fastify
+   * @returns {Promise<Object>} - { success, data }
+   */
+  async _update(request, reply) {
+    // Keberadaan data dicek terpisah: jumlah dari update() di MongoDB (dan MySQL) hanya menghitung
+    // data yang nilainya berubah, sehingga update dengan nilai yang sama menghasilkan 0
+    const exists = await this._queryById(request, 'update').onPrimary().count();
+    if (exists === 0) {
+      return this._notFound(reply);
+    }
+
+    await this._queryById(request, 'update').update(request.body);
+    const row = await this._queryById(request, 'get').onPrimary().first();
+    return { success: true, data: row ? this._present(row, request, 'update') : null };
+  }
+
+  /**
+   * DELETE /resource/:id - menghapus data
+   * @param {Object} request - Request Fastify
+   * @param {Object} reply - Reply Fastify
+   * @returns {Promise<Object>} - { success, data }
+   */
+  async _delete(request, reply) {
+    const deleted = await this._queryById(request, 'delete').delete();
+    if (deleted === 0) {
+      return this._notFound(reply);
+    }
+
+    return { success: true, data: { [this.primaryKey]: request.params.id } };
+  }
+}
+
+Resource.ACTIONS = ACTIONS;
+
+module.exports = Resource;
@@ -0,0 +1,254 @@
+/**
+ * Utilitas
+ * Fungsi bantu yang digunakan bersama oleh query builder dan adapter
+ */
+
+/**
+ * Memisahkan ekspresi "nama as alias" (tabel atau field)
+ * @param {string} expression - Ekspresi, misal 'users as u' atau 'o.total as order_total'
+ * @returns {Object} - { name, alias } dengan alias null jika tidak ada
+ */
+function parseAlias(expression) {
+  const match = /^\s*(\S+)\s+as\s+(\S+)\s*$/i.exec(expression);
+
+  if (!match) {
+    return { name: String(expression).trim(), alias: null };
+  }
+
+  return { name: match[1], alias: match[2] };
+}
+
+/**
+ * Mengecek apakah engine adalah MongoDB
+ * @param {string} engine - Nama engine database
+ * @returns {boolean} - True jika MongoDB
+ */
+function isMongoEngine(engine) {
+  return engine === 'mongodb' || engine === 'mongo';
+}
+
+/**
+ * Mengecek apakah dua nama engine merujuk ke engine yang sama
+ * @param {string} a - Nama engine pertama
+ * @param {string} b - Nama engine kedua
+ * @returns {boolean} - True jika sama
+ */
+function isSameEngine(a, b) {
+  return a === b || (isMongoEngine(a) && isMongoEngine(b));
+}
+
+/**
+ * Mengkonversi pola SQL LIKE menjadi regular expression dengan semantik yang sama:
+ * seluruh nilai harus cocok, `%` dan `_` menjadi wildcard, backslash meng-escape
+ * karakter berikutnya dan karakter regex lainnya di-escape
+ * @param {string} pattern - Pola LIKE
+ * @param {boolean} caseInsensitive - Abaikan huruf besar/kecil (ILIKE)
+ * @returns {RegExp} - Regular expression
+ */
+function likeToRegex(pattern, caseInsensitive = false) {
+  const escape = char => char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\' && i + 1 < pattern.length) {
+      i++;
+      source += escape(pattern[i]);
+    } else if (char === '%') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += escape(char);
+    }
+  }
+
+  // Flag s agar wildcard juga cocok dengan baris baru, seperti di SQL
+  return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+}
+
+/**
+ * Mengkonversi pola SQL LIKE menjadi pola GLOB SQLite yang membedakan huruf besar/kecil:
+ * `%` menjadi `*`, `_` menjadi `?`, backslash meng-escape karakter berikutnya,
+ * dan karakter khusus GLOB (`*`, `?`, `[`) diapit kurung siku agar menjadi karakter biasa
+ * @param {string} pattern - Pola LIKE
+ * @returns {string} - Pola GLOB
+ */
+function likeToGlob(pattern) {
+  const literal = char => ('*?['.includes(char) ? `[${char}]` : char);
+  let glob = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\' && i + 1 < pattern.length) {
+      i++;
+      glob += literal(pattern[i]);
+    } else if (char === '%') {
+      glob += '*';
+    } else if (char === '_') {
+      glob += '?';
+    } else {
+      glob += literal(char);
+    }
+  }
+
+  return glob;
+}
+
+/**
+ * Mengubah nilai cursor menjadi bentuk JSON yang dapat dikembalikan ke tipe aslinya
+ * @param {any} value - Nilai field
+ * @returns {any} - Nilai yang aman untuk JSON
+ */
+function encodeCursorValue(value) {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (value && typeof value === 'object' && typeof value.toHexString === 'function') {
+    return { $oid: value.toHexString() };
+  }
+  return value;
+}
+
+/**
+ * Mengembalikan nilai cursor ke tipe aslinya (Date dan ObjectId).
+ * Cursor berasal dari client dan nilainya langsung menjadi kondisi where, sehingga hanya
+ * nilai skalar, { $date } dan { $oid } yang diterima (bukan objek operator seperti { $gt: '' })
+ * @param {any} value - Nilai hasil decode JSON
+ * @returns {any} - Nilai field
+ */
+function decodeCursorValue(value) {
+  if (value === null || ['string', 'boolean'].includes(typeof value) || Number.isFinite(value)) {
+    return value;
+  }
+
+  const keys = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+  if (keys.length === 1 && keys[0] === '$date' && typeof value.$date === 'string' && !Number.isNaN(Date.parse(value.$date))) {
+    return new Date(value.$date);
+  }
+  if (keys.length === 1 && keys[0] === '$oid' && /^[0-9a-f]{24}$/i.test(value.$oid)) {
+    const { Types } = require('mongoose');
+    return new Types.ObjectId(value.$oid);
+  }
+
+  throw new Error('Cursor tidak valid');
+}
+
+/**
+ * Membuat cursor (base64url) dari field pengurutan dan nilainya
+ * @param {Array} fields - Field pengurutan
+ * @param {Array} values - Nilai field pada baris terakhir
+ * @returns {string} - Cursor
+ */
+function encodeCursor(fields, values) {
+  const payload = JSON.stringify({ f: fields, v: values.map(encodeCursorValue) });
+  return Buffer.from(payload).toString('base64url');
+}
+
+/**
+ * Membaca cursor yang dibuat oleh encodeCursor()
+ * @param {string} cursor - Cursor
+ * @param {Array} fields - Field pengurutan query saat ini
+ * @returns {Array} - Nilai field
+ */
+function decodeCursor(cursor, fields) {
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Cursor tidak valid');
+  }
+
+  if (!payload || !Array.isArray(payload.f) || !Array.isArray(payload.v) || payload.v.length !== payload.f.length) {
+    throw new Error('Cursor tidak valid');
+  }
+
+  if (payload.f.join(',') !== fields.join(',')) {
+    throw new Error('Cursor tidak sesuai dengan urutan query');
+  }
+
+  return payload.v.map(decodeCursorValue);
+}
+
+/**
+ * Mengganti semua nilai (string, angka, tanggal, ObjectId, regex) dengan '?' dengan
+ * mempertahankan struktur objek dan array, misalnya untuk filter MongoDB
+ * @param {any} value - Nilai
+ * @returns {any} - Nilai yang sudah disamarkan
+ */
+function redactValues(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactValues);
+  }
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.keys(value).map(key => [key, redactValues(value[key])]));
+  }
+  return value === null || value === undefined ? value : '?';
+}
+
+/**
+ * Menyamarkan nilai pada kondisi query builder (termasuk grup bersarang)
+ * @param {Array} conditions - Kondisi
+ * @returns {Array} - Kondisi dengan nilai '?'
+ */
+function redactConditions(conditions) {
+  return conditions.map(condition => (condition.type === 'group'
+    ? { ...condition, conditions: redactConditions(condition.conditions) }
+    : { ...condition, value: redactValues(condition.value) }));
+}
+
+/**
+ * Menyamarkan nilai pada deskripsi query dari adapter (describe()) sebelum dicatat:
+ * binding SQL, filter/update/dokumen/operasi bulkWrite MongoDB, stage $match pada pipeline dan kondisi engine memory
+ * @param {Object} query - Deskripsi query
+ * @returns {Object} - Deskripsi query tanpa nilai
+ */
+function redactQuery(query) {
+  const redacted = { ...query };
+
+  if (Array.isArray(redacted.bindings)) {
+    redacted.bindings = redacted.bindings.map(() => '?');
+  }
+  ['filter', 'update', 'documents', 'data', 'operations'].forEach(key => {
+    if (redacted[key] !== undefined) {
+      redacted[key] = redactValues(redacted[key]);
+    }
+  });
+  if (Array.isArray(redacted.conditions)) {
+    redacted.conditions = redactConditions(redacted.conditions);
+  }
+  if (Array.isArray(redacted.pipeline)) {
+    redacted.pipeline = redacted.pipeline.map(stage => (stage.$match ? { ...stage, $match: redactValues(stage.$match) } : stage));
+  }
+
+  return redacted;
+}
+
+/**
+ * Mengurutkan baris hasil baca ulang sesuai urutan data input berdasarkan field kunci
+ * (misalnya field konflik upsert), karena urutan hasil query tanpa ORDER BY tidak dijamin
+ * @param {Array} found - Baris hasil baca ulang
+ * @param {Array} rows - Data input
+ * @param {Array} fields - Field kunci
+ * @returns {Array} - Baris sesuai urutan data input
+ */
+function orderByInput(found, rows, fields) {
+  const key = row => JSON.stringify(fields.map(field => String(row[field])));
+  const byKey = new Map(found.map(row => [key(row), row]));
+  return rows.map(row => byKey.get(key(row))).filter(Boolean);
+}
+
+module.exports = {
+  parseAlias,
+  isMongoEngine,
+  isSameEngine,
+  likeToRegex,
+  likeToGlob,
+  encodeCursor,
+  decodeCursor,
+  redactQuery,
+  orderByInput
+};
@@ -0,0 +1,1424 @@
+/**
+ * Conformance test lintas engine
+ * Memastikan rantai query builder yang sama menghasilkan baris yang sama
+ * di SQL (pg-mem melalui Knex), MongoDB (mingo sebagai pengganti driver) dan engine memory
+ */
+
+const { test, before, after } = require('node:test');
+const { Readable } = require('node:stream');
+const assert = require('node:assert');
+const { newDb } = require('pg-mem');
+const Knex = require('knex');
+const { Query, Aggregator } = require('mingo');
+const { ObjectId } = require('bson');
+const QueryBuilder = require('../lib/queryBuilder');
+const MemoryStore = require('../lib/memoryStore');
+const MemoryAdapter = require('../lib/adapters/memoryAdapter');
+const LruCache = require('../lib/lruCache');
+const QueryMonitor = require('../lib/queryMonitor');
+const Resource = require('../lib/resource');
+const { users, orders } = require('./fixtures.json');
+
+const collections = {
+  users: users.map(user => ({ ...user })),
+  // Sama dengan users, tetapi dokumen Dewi tidak memiliki field email (bukan email: null)
+  contacts: users.map(({ email, ...user }) => (user.id === 4 ? user : { ...user, email })),
+  orders: orders.map(order => ({ ...order }))
+};
+
+/**
+ * Koleksi MongoDB tiruan yang mengevaluasi filter dengan mingo
+ * @param {Array} docs - Dokumen dalam koleksi
+ * @returns {Object} - Koleksi dengan subset API driver MongoDB
+ */
+function createCollection(docs) {
+  return {
+    find(filter, options = {}) {
+      let cursor = new Query(filter).find(docs, options.projection);
+      if (options.sort) cursor = cursor.sort(options.sort);
+      if (options.skip) cursor = cursor.skip(options.skip);
+      if (options.limit) cursor = cursor.limit(options.limit);
+      // Driver MongoDB selalu mengembalikan dokumen baru, bukan dokumen yang tersimpan
+      const docsCopy = () => cursor.all().map(doc => ({ ...doc }));
+      // Rencana tiruan: filter pada status menggunakan index status_1
+      const explain = async () => ({
+        queryPlanner: {
+          winningPlan: filter.status
+            ? { stage: 'FETCH', inputStage: { stage: 'IXSCAN', indexName: 'status_1' } }
+            : { stage: 'COLLSCAN' },
+          rejectedPlans: [{ stage: 'IXSCAN', indexName: 'age_1' }]
+        }
+      });
+      return { toArray: async () => docsCopy(), stream: () => Readable.from(docsCopy()), explain };
+    },
+    async countDocuments(filter) {
+      return new Query(filter).find(docs).all().length;
+    },
+    aggregate(pipeline) {
+      const aggregator = new Aggregator(pipeline, { collectionResolver: name => collections[name] });
+      return { toArray: async () => aggregator.run(docs), stream: () => Readable.from(aggregator.run(docs)) };
+    },
+    async distinct(field, filter) {
+      return [...new Set(new Query(filter).find(docs).all().map(doc => doc[field]))];
+    },
+    async insertOne(doc) {
+      const insertedId = doc._id || new ObjectId();
+      docs.push({ ...doc, _id: insertedId });
+      return { insertedId };
+    },
+    async insertMany(items) {
+      const insertedIds = {};
+      items.forEach((doc, index) => {
+        insertedIds[index] = doc._id || new ObjectId();
+        docs.push({ ...doc, _id: insertedIds[index] });
+      });
+      return { insertedIds };
+    },
+    async updateMany(filter, update) {
+      const matches = new Query(filter).find(docs).all();
+      let modifiedCount = 0;
+      matches.forEach(doc => {
+        const original = JSON.stringify(doc);
+        if (Array.isArray(update)) {
+          // Pipeline update dievaluasi dengan mingo
+          const [result] = new Aggregator(update).run([{ ...doc }]);
+          Object.keys(doc).forEach(field => delete doc[field]);
+          Object.assign(doc, result);
+        } else {
+          Object.assign(doc, update.$set);
+          Object.keys(update.$unset || {}).forEach(field => delete doc[field]);
+        }
+        // Seperti MongoDB, dokumen yang nilainya tidak berubah tidak dihitung sebagai modified
+        modifiedCount += JSON.stringify(doc) === original ? 0 : 1;
+      });
+      return { matchedCount: matches.length, modifiedCount };
+    },
+    async bulkWrite(operations) {
+      operations.forEach(({ updateOne: { filter, update } }) => {
+        const match = new Query(filter).find(docs).all()[0];
+        if (match) {
+          Object.assign(match, update.$set);
+        } else {
+          docs.push({ ...filter, ...update.$setOnInsert, ...update.$set });
+        }
+      });
+      return {};
+    },
+    async deleteMany(filter) {
+      const matches = new Set(new Query(filter).find(docs).all());
+      const remaining = docs.filter(doc => !matches.has(doc));
+      docs.splice(0, docs.length, ...remaining);
+      return { deletedCount: matches.size };
+    }
+  };
+}
+
+const memoryStore = new MemoryStore({ users, orders, contacts: users });
+
+let knex;
+let sqlite;
+let fastify;
+
+before(async () => {
+  knex = newDb().adapters.createKnex();
+  await knex.schema.createTable('users', table => {
+    table.integer('id').primary();
+    table.string('name');
+    table.integer('age');
+    table.string('status');
+    table.string('role');
+    table.string('email');
+  });
+  await knex('users').insert(users);
+  await knex.schema.createTable('orders', table => {
+    table.integer('id').primary();
+    table.integer('user_id');
+    table.integer('total');
+    table.string('status');
+  });
+  await knex('orders').insert(orders);
+  await knex.schema.createTable('items', table => {
+    table.increments('item_id');
+    table.string('name');
+    table.string('status').defaultTo('baru');
+  });
+  await knex.schema.createTable('stocks', table => {
+    table.increments('id');
+    table.string('sku').unique();
+    table.integer('qty');
+    table.string('note');
+  });
+
+  // pg-mem tidak mendukung pg-query-stream, stream() SQL diuji dengan SQLite
+  sqlite = Knex({ client: 'sqlite3', connection: { filename: ':memory:' }, useNullAsDefault: true });
+  await sqlite.schema.createTable('users', table => {
+    table.integer('id').primary();
+    table.string('name');
+    table.integer('age');
+    table.string('status');
+    table.string('role');
+    table.string('email');
+  });
+  await sqlite('users').insert(users);
+  await sqlite.schema.createTable('contacts', table => {
+    table.integer('id').primary();
+    table.string('email');
+    table.integer('age');
+  });
+  await sqlite('contacts').insert(users.map(({ id, email, age }) => ({ id, email, age })));
+
+  fastify = {
+    knex: { db: knex },
+    mongoose: {
+      connection: {
+        db: { collection: name => createCollection(collections[name]) }
+      }
+    }
+  };
+});
+
+after(async () => {
+  await knex.destroy();
+  await sqlite.destroy();
+});
+
+/**
+ * Menjalankan rantai query yang sama di semua engine (termasuk SQLite) dan mengembalikan ID hasil
+ * @param {Function} chain - Fungsi yang menerima builder dan menambahkan kondisi
+ * @returns {Promise<Object>} - ID hasil per engine
+ */
+async function run(chain) {
+  const engines = [{ dbEngine: 'pg' }, { dbEngine: 'sqlite', knex: sqlite }, { dbEngine: 'mongodb' }, { dbEngine: 'memory' }];
+  const [sql, sqliteIds, mongo, memory] = await Promise.all(engines.map(async options => {
+    const rows = await chain(engineQuery(options)).get();
+    return rows.map(row => row.id).sort((a, b) => a - b);
+  }));
+  return { sql, sqlite: sqliteIds, mongo, memory };
+}
+
+const cases = {
+  'rentang pada field yang sama': q => q.where('age', '>=', 18).where('age', '<', 65),
+  'operator yang sama pada field yang sama': q => q.where('age', '>', 15).where('age', '>', 30),
+  'kesamaan yang saling bertentangan': q => q.where('status', 'active').where('status', 'banned'),
+  'whereIn dan whereNotIn pada field yang sama': q => q.whereIn('role', ['user', 'admin']).whereNotIn('role', ['admin']),
+  'objek where dan kondisi field yang sama': q => q.where({ status: 'active' }).where('status', '!=', 'banned'),
+  'orWhere dengan AND di kedua sisi': q => q.where('status', 'active').where('age', '>', 20).orWhere('role', 'admin').where('age', '<', 70),
+  'grup bersarang': q => q.where('role', 'user').where(g => g.where('age', '<', 18).orWhere('age', '>', 60)),
+  'whereNot pada grup': q => q.whereNot(g => g.where('status', 'active').where('age', '>=', 18)),
+  'orWhereNot': q => q.where('role', 'editor').orWhereNot('status', 'in', ['active', 'inactive']),
+  'whereNull': q => q.whereNull('email'),
+  'whereNotNull dengan orWhere': q => q.whereNotNull('email').where('age', '<', 30).orWhere('role', 'editor'),
+  'where dengan null sama dengan whereNull': q => q.where('email', null).orWhere({ status: 'banned', email: null }),
+  'where != null sama dengan whereNotNull': q => q.where('email', '!=', null).whereNot('role', '<>', null),
+  'whereBetween': q => q.whereBetween('age', [18, 64]),
+  'whereNotBetween': q => q.whereNotBetween('age', [18, 64]),
+  'whereBetween dan where pada field yang sama': q => q.whereBetween('age', [18, 80]).where('age', '!=', 30),
+  'whereILike': q => q.whereILike('name', '%I%'),
+  'whereLike membedakan huruf besar/kecil': q => q.whereLike('name', '%i%'),
+  'whereLike dengan titik sebagai karakter biasa': q => q.whereLike('email', '%.org'),
+  'whereLike dengan underscore': q => q.whereLike('name', '_ko'),
+  'whereLike tanpa wildcard cocok penuh': q => q.whereLike('name', 'And'),
+  'whereLike dengan karakter regex': q => q.whereLike('email', 'andi@example.c(o)m'),
+  'whereLike dengan wildcard yang di-escape': q => q.whereLike('email', 'andi\\%%'),
+  'whereLike dengan karakter khusus GLOB': q => q.whereLike('email', '*%').orWhere('name', 'like', '[A]%'),
+  'whereLike membedakan huruf besar/kecil di awal pola': q => q.whereLike('name', 'a%'),
+  'operator huruf besar': q => q.where('age', 'BETWEEN', [30, 65]).where('status', 'NOT IN', ['banned'])
+};
+
+Object.keys(cases).forEach(name => {
+  test(name, async () => {
+    const { sql, sqlite: sqliteIds, mongo, memory } = await run(cases[name]);
+    assert.deepStrictEqual(sqliteIds, sql);
+    assert.deepStrictEqual(mongo, sql);
+    assert.deepStrictEqual(memory, sql);
+  });
+});
+
+/**
+ * Kasus yang hasilnya dibandingkan dengan SQLite karena pg-mem berbeda dari PostgreSQL:
+ * pg-mem tidak menerapkan logika tiga nilai pada NOT dan NOT IN (field null, di MongoDB juga field yang tidak ada)
+ * dan tidak mendukung backslash sebelum karakter biasa pada pola LIKE
+ */
+const sqliteCases = {
+  'whereLike dengan karakter biasa yang di-escape': q => q.whereLike('email', 'andi@example\\.com'),
+  'whereILike dengan karakter yang di-escape': q => q.whereILike('email', 'ANDI@\\EXAMPLE.COM'),
+  '= null menyertakan field yang tidak ada': q => q.where('email', '=', null),
+  '!= tidak menyertakan field yang null atau tidak ada': q => q.where('email', '!=', 'andi@example.com'),
+  'whereNotIn tidak menyertakan field yang null atau tidak ada': q => q.whereNotIn('email', ['andi@example.com', 'eko@example.org']),
+  'whereNot tidak menyertakan field yang null atau tidak ada': q => q.whereNot('email', 'citra@example.com'),
+  'whereNot dengan like pada field yang null': q => q.whereNot('email', 'like', '%.com'),
+  'whereNot pada grup dengan field yang null': q => q.whereNot(g => g.where('email', 'like', '%.com').orWhere('age', '<', 18)),
+  'whereNot bersarang pada field yang null': q => q.whereNot(g => g.whereNot('email', 'eko@example.org').where('age', '>', 20))
+};
+
+Object.keys(sqliteCases).forEach(name => {
+  test(name, async () => {
+    const [sql, mongo, memory] = await Promise.all([
+      { dbEngine: 'sqlite', knex: sqlite },
+      { dbEngine: 'mongodb' },
+      { dbEngine: 'memory' }
+    ].map(async options => {
+      const rows = await sqliteCases[name](engineQuery(options).from('contacts')).get();
+      return rows.map(row => row.id).sort((a, b) => a - b);
+    }));
+    assert.deepStrictEqual(mongo, sql);
+    assert.deepStrictEqual(memory, sql);
+  });
+});
+
+test('filter MongoDB mempertahankan kedua batas rentang', () => {
+  const builder = new QueryBuilder(fastify, { dbEngine: 'mongodb' })
+    .from('users')
+    .where('age', '>=', 18)
+    .where('age', '<', 65);
+
+  assert.deepStrictEqual(builder.adapter._buildFilter(builder.conditions), {
+    age: { $gte: 18, $lt: 65 }
+  });
+});
+
+test('operator yang tidak dikenal menghasilkan error', () => {
+  const builder = new QueryBuilder(fastify, { dbEngine: 'pg' }).from('users');
+  assert.throws(() => builder.where('age', '=>', 18), /Operator "=>" tidak didukung/);
+});
+
+test('whereExists menjadi $exists di MongoDB dan IS NOT NULL di SQL', () => {
+  const mongo = new QueryBuilder(fastify, { dbEngine: 'mongodb' }).from('users').whereExists('email');
+  const sql = new QueryBuilder(fastify, { dbEngine: 'pg' }).from('users').whereExists('email');
+
+  assert.deepStrictEqual(mongo.adapter._buildFilter(mongo.conditions), { email: { $exists: true } });
+  assert.match(sql.toSQL(), /"email" is not null/);
+});
+
+test('pola LIKE di MongoDB di-anchor dan karakter regex di-escape', () => {
+  const builder = new QueryBuilder(fastify, { dbEngine: 'mongodb' })
+    .from('users')
+    .whereLike('email', 'a.b%')
+    .whereILike('name', 'j_hn');
+
+  assert.deepStrictEqual(builder.adapter._buildFilter(builder.conditions), {
+    email: { $regex: /^a\.b.*$/s },
+    name: { $regex: /^j.hn$/is }
+  });
+});
+
+/**
+ * Menjalankan fungsi yang sama di semua engine
+ * @param {Function} fn - Fungsi yang menerima builder dan mengembalikan promise
+ * @param {Object} options - Opsi tambahan query builder (opsional)
+ * @returns {Promise<Object>} - Hasil per engine
+ */
+async function runEach(fn, options = {}) {
+  const [sql, mongo, memory] = await Promise.all(['pg', 'mongodb', 'memory'].map(dbEngine => {
+    return fn(new QueryBuilder(fastify, { dbEngine, memoryStore, ...options }).from('users'));
+  }));
+  return { sql, mongo, memory };
+}
+
+/**
+ * Membuat query builder untuk tabel users pada satu engine
+ * @param {Object} options - Opsi query builder dengan dbEngine, dan instance knex lain (misalnya SQLite) pada opsi knex
+ * @returns {QueryBuilder} - Query builder
+ */
+function engineQuery({ knex: db, ...options }) {
+  const connections = db ? { [options.dbEngine]: { engine: options.dbEngine, knex: db } } : {};
+  return new QueryBuilder(fastify, { memoryStore, connections, connection: db ? options.dbEngine : undefined, ...options }).from('users');
+}
+
+test('agregat tanpa groupBy', async () => {
+  const { sql, mongo, memory } = await runEach(q => q.where('status', 'active').aggregate({
+    total: { sum: 'age' },
+    average: { avg: 'age' },
+    youngest: { min: 'age' },
+    oldest: { max: 'age' },
+    users: { count: '*' },
+    emails: { count: 'email' }
+  }));
+
+  assert.deepStrictEqual(sql, { total: 97, average: 97 / 3, youngest: 15, oldest: 64, users: 3, emails: 1 });
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+});
+
+test('agregat dengan groupBy dan orderBy', async () => {
+  const { sql, mongo, memory } = await runEach(q => q
+    .groupBy('role')
+    .orderBy('role')
+    .aggregate({ users: { count: '*' }, oldest: { max: 'age' } }));
+
+  assert.deepStrictEqual(sql, [
+    { role: 'admin', users: 2, oldest: 80 },
+    { role: 'editor', users: 1, oldest: 64 },
+    { role: 'user', users: 3, oldest: 65 }
+  ]);
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+});
+
+test('sum() mengembalikan angka dan agregat kosong tetap seragam', async () => {
+  assert.deepStrictEqual(await runEach(q => q.sum('age')), { sql: 272, mongo: 272, memory: 272 });
+  assert.deepStrictEqual(await runEach(q => q.where('age', '>', 100).aggregate({ n: { count: '*' } })), {
+    sql: { n: 0 },
+    mongo: { n: 0 },
+    memory: { n: 0 }
+  });
+});
+
+test('distinct()', async () => {
+  const { sql, mongo, memory } = await runEach(q => q.where('age', '>', 15).distinct('status'));
+  assert.deepStrictEqual(mongo.sort(), sql.sort());
+  assert.deepStrictEqual(memory.sort(), sql);
+});
+
+test('having pada alias agregat di MongoDB', () => {
+  const builder = new QueryBuilder(fastify, { dbEngine: 'mongodb' })
+    .from('users')
+    .where('status', 'active')
+    .groupBy('role')
+    .having('users', '>', 1)
+    .orderBy('users', 'desc')
+    .limit(5);
+
+  assert.deepStrictEqual(builder.adapter._buildAggregatePipeline(builder, [{ alias: 'users', fn: 'count', field: '*' }]), [
+    { $match: { status: { $eq: 'active' } } },
+    { $group: { _id: { g0: '$role' }, users: { $sum: 1 } } },
+    { $project: { _id: 0, role: '$_id.g0', users: 1 } },
+    { $match: { users: { $gt: 1 } } },
+    { $sort: { users: -1 } },
+    { $limit: 5 }
+  ]);
+});
+
+test('having menggunakan ekspresi agregat di SQL', () => {
+  const builder = new QueryBuilder(fastify, { dbEngine: 'pg' })
+    .from('users')
+    .groupBy('role')
+    .having('total', '>', 50)
+    .orHaving('role', 'in', ['editor']);
+
+  const query = builder.adapter._buildAggregateQuery(builder, [{ alias: 'total', fn: 'sum', field: 'age' }]);
+  assert.strictEqual(
+    query.toString(),
+    'select "role", sum("age") as "total" from "users" group by "role" having sum("age") > 50 or "role" in (\'editor\')'
+  );
+});
+
+test('join dengan alias dan kolom yang dipilih', async () => {
+  const { sql, mongo, memory } = await runEach(q => q
+    .from('users as u')
+    .join('orders as o', 'u.id', '=', 'o.user_id')
+    .select('u.name', 'o.total as order_total')
+    .where('o.total', '>', 100)
+    .orderBy('o.total', 'desc')
+    .get());
+
+  assert.deepStrictEqual(sql, [
+    { name: 'Citra', order_total: 300 },
+    { name: 'Andi', order_total: 150 },
+    { name: 'Dewi', order_total: 120 }
+  ]);
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+});
+
+test('left join mempertahankan baris tanpa pasangan', async () => {
+  const { sql, mongo, memory } = await runEach(q => q
+    .leftJoin('orders as o', 'o.user_id', 'users.id')
+    .select('users.id', 'o.id as order_id')
+    .where('users.age', '<', 40)
+    .orderBy('users.id')
+    .orderBy('o.id')
+    .get());
+
+  assert.deepStrictEqual(sql, [
+    { id: 1, order_id: 101 },
+    { id: 1, order_id: 102 },
+    { id: 2, order_id: null },
+    { id: 3, order_id: 103 }
+  ]);
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+});
+
+test('join tanpa select menggabungkan field ke baris utama', async () => {
+  const { mongo, memory } = await runEach(q => q
+    .from('users as u')
+    .join('orders as o', 'u.id', 'o.user_id')
+    .where('u.role', 'editor')
+    .get());
+
+  // Seperti driver pg, kolom dengan nama sama diambil dari tabel yang di-join terakhir
+  const { _id, ...row } = mongo[0];
+  assert.strictEqual(mongo.length, 1);
+  assert.deepStrictEqual(row, {
+    id: 104,
+    name: 'Dewi',
+    age: 64,
+    status: 'paid',
+    role: 'editor',
+    email: null,
+    user_id: 4,
+    total: 120
+  });
+  assert.deepStrictEqual(memory, [row]);
+});
+
+test('count dan aggregate dengan join', async () => {
+  assert.deepStrictEqual(await runEach(q => q.join('orders as o', 'users.id', 'o.user_id').count()), {
+    sql: 4,
+    mongo: 4,
+    memory: 4
+  });
+
+  const { sql, mongo, memory } = await runEach(q => q
+    .from('users as u')
+    .join('orders as o', 'u.id', 'o.user_id')
+    .groupBy('u.name')
+    .orderBy('name')
+    .aggregate({ spent: { sum: 'o.total' } }));
+
+  assert.deepStrictEqual(sql, [
+    { name: 'Andi', spent: 200 },
+    { name: 'Citra', spent: 300 },
+    { name: 'Dewi', spent: 120 }
+  ]);
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+});
+
+test('eager loading relasi bersarang dengan with()', async () => {
+  // Data uji menggunakan field id sebagai primary key, juga di MongoDB
+  const tables = {
+    users: {
+      primaryKey: 'id',
+      relations: {
+        orders: { type: 'hasMany', table: 'orders', foreignKey: 'user_id' },
+        latestOrder: { type: 'hasOne', table: 'orders', foreignKey: 'user_id' }
+      }
+    },
+    orders: {
+      primaryKey: 'id',
+      relations: {
+        user: { type: 'belongsTo', table: 'users', foreignKey: 'user_id' }
+      }
+    }
+  };
+
+  const [sql, mongo, memory] = await Promise.all(['pg', 'mongodb', 'memory'].map(async dbEngine => {
+    const rows = await new QueryBuilder(fastify, { dbEngine, tables, memoryStore })
+      .from('users')
+      .select('id', 'name')
+      .whereIn('id', [1, 2])
+      .orderBy('id')
+      .with('orders.user', { latestOrder: q => q.where('total', '>', 100) })
+      .get();
+
+    return rows.map(row => ({
+      name: row.name,
+      orders: row.orders.map(order => [order.id, order.user.name]).sort(),
+      latestOrder: row.latestOrder && row.latestOrder.id
+    }));
+  }));
+
+  assert.deepStrictEqual(sql, [
+    { name: 'Andi', orders: [[101, 'Andi'], [102, 'Andi']], latestOrder: 102 },
+    { name: 'Budi', orders: [], latestOrder: null }
+  ]);
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+});
+
+test('eager loading belongsToMany melalui tabel pivot', async () => {
+  const tags = [{ id: 1, name: 'promo' }, { id: 2, name: 'grosir' }, { id: 3, name: 'retur' }];
+  const orderTags = [{ order_id: 101, tag_id: 2 }, { order_id: 101, tag_id: 1 }, { order_id: 103, tag_id: 1 }, { order_id: 103, tag_id: 9 }];
+  await knex.schema.createTable('tags', table => {
+    table.integer('id').primary();
+    table.string('name');
+  });
+  await knex('tags').insert(tags);
+  await knex.schema.createTable('order_tags', table => {
+    table.integer('order_id');
+    table.integer('tag_id');
+  });
+  await knex('order_tags').insert(orderTags);
+  collections.tags = tags.map(tag => ({ ...tag }));
+  collections.order_tags = orderTags.map(pivot => ({ ...pivot }));
+  const store = new MemoryStore({ orders, tags, order_tags: orderTags });
+
+  const tables = {
+    orders: {
+      primaryKey: 'id',
+      relations: {
+        tags: { type: 'belongsToMany', table: 'tags', pivot: 'order_tags', foreignPivotKey: 'order_id', relatedPivotKey: 'tag_id' }
+      }
+    },
+    tags: { primaryKey: 'id' }
+  };
+
+  const [sql, mongo, memory] = await Promise.all(['pg', 'mongodb', 'memory'].map(async dbEngine => {
+    const rows = await new QueryBuilder(fastify, { dbEngine, tables, memoryStore: store })
+      .from('orders')
+      .whereIn('id', [101, 102, 103])
+      .orderBy('id')
+      .with({ tags: q => q.where('name', '!=', 'grosir') })
+      .get();
+
+    return rows.map(row => [row.id, row.tags.map(tag => tag.name).sort()]);
+  }));
+
+  assert.deepStrictEqual(sql, [[101, ['promo']], [102, []], [103, ['promo']]]);
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+});
+
+test('relasi MongoDB tanpa key eksplisit menggunakan _id', async () => {
+  const [andi, budi, novel, puisi, a1, a2, b1] = Array.from({ length: 7 }, () => new ObjectId());
+  collections.authors = [{ _id: andi, name: 'Andi' }, { _id: budi, name: 'Budi' }];
+  collections.books = [
+    { _id: a1, title: 'A1', author_id: andi },
+    { _id: a2, title: 'A2', author_id: andi },
+    { _id: b1, title: 'B1', author_id: budi }
+  ];
+  collections.tags = [{ _id: novel, name: 'novel' }, { _id: puisi, name: 'puisi' }];
+  collections.book_tag = [{ book_id: a1, tag_id: novel }, { book_id: b1, tag_id: novel }, { book_id: b1, tag_id: puisi }];
+
+  const tables = {
+    authors: { relations: { books: { type: 'hasMany', table: 'books', foreignKey: 'author_id' } } },
+    books: {
+      relations: {
+        author: { type: 'belongsTo', table: 'authors', foreignKey: 'author_id' },
+        tags: { type: 'belongsToMany', table: 'tags', pivot: 'book_tag', foreignPivotKey: 'book_id', relatedPivotKey: 'tag_id' }
+      }
+    }
+  };
+  const query = table => new QueryBuilder(fastify, { dbEngine: 'mongodb', tables }).from(table);
+
+  const authors = await query('authors').with('books.tags').orderBy('name').get();
+  assert.deepStrictEqual(authors.map(author => [
+    author.name,
+    author.books.map(book => [book.title, book.tags.map(tag => tag.name)])
+  ]), [
+    ['Andi', [['A1', ['novel']], ['A2', []]]],
+    ['Budi', [['B1', ['novel', 'puisi']]]]
+  ]);
+
+  const books = await query('books').with('author').orderBy('title').get();
+  assert.deepStrictEqual(books.map(book => [book.title, book.author.name]), [['A1', 'Andi'], ['A2', 'Andi'], ['B1', 'Budi']]);
+});
+
+test('koneksi bernama memilih engine dan instance database', async () => {
+  const connections = {
+    reports: { engine: 'pg', knex },
+    events: { engine: 'mongodb', mongoose: fastify.mongoose.connection }
+  };
+  const bare = {};
+
+  const [sql, mongo] = await Promise.all(['reports', 'events'].map(async connection => {
+    const rows = await new QueryBuilder(bare, { connections, connection }).from('users').where('role', 'admin').get();
+    return rows.map(row => row.id).sort();
+  }));
+
+  assert.deepStrictEqual(sql, [2, 6]);
+  assert.deepStrictEqual(mongo, sql);
+  assert.strictEqual(new QueryBuilder(bare, { connections, dbEngine: 'mongo' }).connection.name, 'events');
+  assert.throws(() => new QueryBuilder(bare, { connections, connection: 'legacy' }), /Koneksi "legacy" tidak ditemukan/);
+});
+
+test('read replica untuk operasi baca dan primary untuk tulis', async () => {
+  const replica = newDb().adapters.createKnex();
+  await replica.schema.createTable('users', table => {
+    table.integer('id').primary();
+    table.string('name');
+  });
+  await replica('users').insert({ id: 1, name: 'Replica' });
+
+  const connections = { main: { engine: 'pg', knex, read: [replica] } };
+  const query = () => new QueryBuilder({}, { connections, connection: 'main' }).from('users').where('id', 1);
+
+  try {
+    assert.strictEqual((await query().first()).name, 'Replica');
+    assert.strictEqual(await query().count(), 1);
+    assert.strictEqual((await query().onPrimary().first()).name, 'Andi');
+    assert.strictEqual(await query().update({ name: 'Andi' }), 1);
+    assert.strictEqual(await query().transaction(async trx => (await trx('users').where('id', 1).first()).name), 'Andi');
+  } finally {
+    await replica.destroy();
+  }
+});
+
+test('engine memory untuk insert, update, delete dan transaksi', async () => {
+  const store = new MemoryStore().seed('users', users);
+  const query = () => new QueryBuilder({}, { dbEngine: 'memory', memoryStore: store }).from('users');
+
+  const [inserted] = await query().insert({ name: 'Gita', age: 22, status: 'active' });
+  assert.strictEqual(inserted.id, 7);
+  assert.strictEqual(await query().where('status', 'active').update({ role: 'member' }), 4);
+  assert.strictEqual(await query().where('role', 'member').count(), 4);
+  assert.strictEqual(await query().where('age', '>', 60).delete(), 3);
+
+  await assert.rejects(query().transaction(async trx => {
+    await trx('users').where('id', 7).delete();
+    throw new Error('batal');
+  }), /batal/);
+  assert.strictEqual(await query().count(), 4);
+
+  await query().transaction(async trx => {
+    await trx('users').insert({ name: 'Hadi' });
+    await assert.rejects(trx.transaction(async nested => {
+      await nested('users').delete();
+      throw new Error('savepoint');
+    }), /savepoint/);
+  });
+  assert.deepStrictEqual((await query().orderBy('id').get()).map(row => row.id), [1, 2, 3, 7, 8]);
+
+  store.reset('users');
+  assert.deepStrictEqual(await query().get(), []);
+  assert.throws(() => new QueryBuilder({}, { dbEngine: 'memory' }), /membutuhkan opsi memoryStore/);
+});
+
+test('transaksi Knex di-commit, di-rollback dan menggunakan savepoint untuk transaksi bersarang', async () => {
+  await sqlite.schema.createTable('accounts', table => {
+    table.integer('id').primary();
+    table.integer('balance');
+  });
+  const db = engineQuery({ dbEngine: 'sqlite', knex: sqlite });
+  const balances = async () => (await sqlite('accounts').orderBy('id')).map(row => row.balance);
+
+  await db.transaction(async trx => {
+    await trx('accounts').insert([{ id: 1, balance: 100 }, { id: 2, balance: 0 }]);
+  });
+  assert.deepStrictEqual(await balances(), [100, 0]);
+
+  await assert.rejects(db.transaction(async trx => {
+    await trx('accounts').where('id', 1).decrement('balance', 30);
+    await trx('accounts').where('id', 2).increment('balance', 30);
+    assert.deepStrictEqual((await trx('accounts').orderBy('id').get()).map(row => row.balance), [70, 30]);
+    throw new Error('transfer gagal');
+  }), /transfer gagal/);
+  assert.deepStrictEqual(await balances(), [100, 0]);
+
+  // Error di transaksi bersarang hanya membatalkan savepoint-nya
+  await db.transaction(async trx => {
+    await trx('accounts').where('id', 1).update({ balance: 90 });
+    await assert.rejects(trx.transaction(async nested => {
+      await nested('accounts').where('id', 2).update({ balance: 10 });
+      throw new Error('savepoint');
+    }), /savepoint/);
+    await trx.transaction(async nested => {
+      await nested('accounts').where('id', 2).update({ balance: 5 });
+    });
+  });
+  assert.deepStrictEqual(await balances(), [90, 5]);
+});
+
+test('transaksi MongoDB melakukan commit atau abort pada session dan memakai session induk untuk transaksi bersarang', async () => {
+  const calls = [];
+  const docs = [];
+  const collection = createCollection(docs);
+  const connection = {
+    db: {
+      collection: () => ({
+        ...collection,
+        insertOne: (doc, options = {}) => {
+          calls.push(['insertOne', options.session && options.session.id]);
+          return collection.insertOne(doc);
+        }
+      })
+    },
+    startSession: async () => {
+      const id = calls.filter(([name]) => name === 'startSession').length + 1;
+      let active = false;
+      calls.push(['startSession', id]);
+      return {
+        id,
+        startTransaction: () => { active = true; },
+        inTransaction: () => active,
+        commitTransaction: async () => { active = false; calls.push(['commitTransaction', id]); },
+        abortTransaction: async () => { active = false; calls.push(['abortTransaction', id]); },
+        endSession: async () => { calls.push(['endSession', id]); }
+      };
+    }
+  };
+  const db = new QueryBuilder({ mongoose: { connection } }, { dbEngine: 'mongodb' });
+
+  const result = await db.transaction(async trx => {
+    await trx('logs').insert({ message: 'a' });
+    await trx.transaction(async nested => {
+      await nested('logs').insert({ message: 'b' });
+    });
+    return 'selesai';
+  });
+  assert.strictEqual(result, 'selesai');
+
+  await assert.rejects(db.transaction(async trx => {
+    await trx('logs').insert({ message: 'c' });
+    await trx.transaction(async () => {
+      throw new Error('batal');
+    });
+  }), /batal/);
+
+  assert.deepStrictEqual(calls, [
+    ['startSession', 1],
+    ['insertOne', 1],
+    ['insertOne', 1],
+    ['commitTransaction', 1],
+    ['endSession', 1],
+    ['startSession', 2],
+    ['insertOne', 2],
+    ['abortTransaction', 2],
+    ['endSession', 2]
+  ]);
+});
+
+test('registry adapter untuk engine pihak ketiga', async () => {
+  class ArrayAdapter extends MemoryAdapter {}
+  ArrayAdapter.capabilities = { aggregates: true };
+
+  assert.throws(() => new QueryBuilder(fastify, { dbEngine: 'mongodbb' }), /Engine database "mongodbb" tidak dikenal/);
+  assert.throws(() => QueryBuilder.registerAdapter('broken', class {}), /harus mengimplementasikan method get, insert, update, delete, count/);
+  assert.throws(() => QueryBuilder.registerAdapter('broken', class extends ArrayAdapter {
+    static capabilities = { fulltext: true };
+  }), /Kemampuan adapter tidak dikenal: fulltext/);
+
+  QueryBuilder.registerAdapter('array', ArrayAdapter);
+  const query = () => new QueryBuilder(fastify, { dbEngine: 'array', memoryStore }).from('users');
+
+  assert.strictEqual(await query().where('role', 'admin').count(), 2);
+  assert.strictEqual(query().supports('joins'), false);
+  assert.throws(() => query().join('orders', 'users.id', 'orders.user_id'), /join\(\) tidak didukung oleh engine "array"/);
+  await assert.rejects(query().transaction(async () => {}), /transaction\(\) tidak didukung/);
+});
+
+test('paginate() mengembalikan data dan total dengan kondisi yang sama', async () => {
+  const { sql, mongo, memory } = await runEach(async q => {
+    const result = await q.where('age', '>=', 18).orderBy('age', 'desc').paginate({ page: 2, perPage: 2 });
+    return { ...result, data: result.data.map(row => row.id) };
+  });
+
+  assert.deepStrictEqual(sql, { data: [4, 3], total: 5, page: 2, perPage: 2, lastPage: 3 });
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+  await assert.rejects(runEach(q => q.paginate({ page: 0 })), /page harus berupa bilangan bulat positif/);
+
+  // Field select() tidak ikut ke query count (PostgreSQL menolak kolom tanpa GROUP BY)
+  const monitor = new QueryMonitor();
+  const queries = [];
+  monitor.on('query', event => queries.push([event.operation, event.query.sql]));
+  const selected = await new QueryBuilder(fastify, { dbEngine: 'pg', monitor }).from('users')
+    .select('id', 'name').where('age', '>=', 18).orderBy('age', 'desc').paginate({ page: 2, perPage: 2 });
+
+  assert.deepStrictEqual(selected.data, [{ id: 4, name: 'Dewi' }, { id: 3, name: 'Citra' }]);
+  assert.deepStrictEqual(queries, [
+    ['get', 'select "id", "name" from "users" where "age" >= ? order by "age" desc limit ? offset ?'],
+    ['count', 'select count(*) as "count" from "users" where "age" >= ?']
+  ]);
+  const builder = new QueryBuilder(fastify, { dbEngine: 'pg' }).from('users').select('id', 'name');
+  assert.strictEqual(builder.adapter.describe(builder, 'count', '*').sql, 'select count(*) as "count" from "users"');
+});
+
+test('cursorPaginate() berpindah halaman dengan cursor', async () => {
+  const { sql, mongo, memory } = await runEach(async q => {
+    const pages = [];
+    let after = null;
+
+    q.where('status', '!=', 'banned');
+    do {
+      const page = await q.cursorPaginate({ after, limit: 2, orderBy: { status: 'asc' } });
+      pages.push(page.data.map(row => row.id));
+      after = page.nextCursor;
+    } while (after);
+
+    return pages;
+  }, { tables: { users: { primaryKey: 'id' } } });
+
+  assert.deepStrictEqual(sql, [[1, 2], [4, 3], [6]]);
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+});
+
+test('cursor yang tidak sesuai urutan query ditolak', async () => {
+  const query = () => new QueryBuilder(fastify, { dbEngine: 'memory', memoryStore }).from('users');
+  const { nextCursor } = await query().cursorPaginate({ limit: 1, orderBy: 'age' });
+
+  await assert.rejects(query().cursorPaginate({ after: nextCursor, orderBy: 'name' }), /Cursor tidak sesuai/);
+  await assert.rejects(query().cursorPaginate({ after: 'bukan-cursor' }), /Cursor tidak valid/);
+
+  // Objek operator dari cursor buatan client tidak boleh menjadi kondisi where
+  const forged = Buffer.from(JSON.stringify({ f: ['id'], v: [{ $gt: '' }] })).toString('base64url');
+  for (const dbEngine of ['pg', 'mongodb', 'memory']) {
+    const builder = new QueryBuilder(fastify, { dbEngine, memoryStore, tables: { users: { primaryKey: 'id' } } }).from('users');
+    await assert.rejects(builder.cursorPaginate({ after: forged }), /Cursor tidak valid/);
+  }
+});
+
+test('stream() untuk SQL, MongoDB dan engine memory', async () => {
+  const results = await Promise.all([{ dbEngine: 'sqlite', knex: sqlite }, { dbEngine: 'mongodb' }, { dbEngine: 'memory' }].map(async options => {
+    const stream = engineQuery(options).where('role', 'user').orderBy('age').stream();
+    const ids = [];
+    for await (const row of stream) {
+      ids.push(row.id);
+    }
+    return ids;
+  }));
+
+  assert.deepStrictEqual(results, [[1, 3, 5], [1, 3, 5], [1, 3, 5]]);
+  assert.throws(() => new QueryBuilder(fastify, { dbEngine: 'memory', memoryStore }).from('users').with('orders').stream(), /gunakan chunk\(\)/);
+});
+
+test('chunk() dan eachBatch() memproses semua baris tepat satu kali', async () => {
+  const tables = { users: { primaryKey: 'id' } };
+  const chunks = async q => {
+    const batches = [];
+    const completed = await q.orderBy('status', 'desc').chunk(4, rows => {
+      batches.push(rows.map(row => row.id));
+    });
+    return { batches, completed };
+  };
+  const { sql, mongo, memory } = await runEach(chunks, { tables });
+
+  assert.deepStrictEqual(sql, { batches: [[3, 6, 5, 1], [2, 4]], completed: true });
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+  assert.deepStrictEqual(await chunks(engineQuery({ dbEngine: 'sqlite', knex: sqlite, tables })), sql);
+
+  const batches = await runEach(async q => {
+    const ids = [];
+    for await (const rows of q.where('age', '>=', 18).orderBy('age', 'desc').eachBatch(2)) {
+      ids.push(rows.map(row => row.id));
+    }
+    return ids;
+  }, { tables });
+
+  assert.deepStrictEqual(batches.sql, [[6, 5], [4, 3], [2]]);
+  assert.deepStrictEqual(batches.mongo, batches.sql);
+  assert.deepStrictEqual(batches.memory, batches.sql);
+  assert.strictEqual(await new QueryBuilder(fastify, { dbEngine: 'memory', memoryStore }).from('users').chunk(2, () => false), false);
+
+  // limit() membatasi jumlah total baris, bukan ukuran batch
+  const limited = await runEach(async q => {
+    const ids = [];
+    for await (const rows of q.where('age', '>=', 18).orderBy('age', 'desc').limit(3).eachBatch(2)) {
+      ids.push(rows.map(row => row.id));
+    }
+    return ids;
+  }, { tables });
+
+  assert.deepStrictEqual(limited.sql, [[6, 5], [4]]);
+  assert.deepStrictEqual(limited.mongo, limited.sql);
+  assert.deepStrictEqual(limited.memory, limited.sql);
+  await assert.rejects(
+    new QueryBuilder(fastify, { dbEngine: 'memory', memoryStore }).from('users').offset(2).chunk(2, () => {}),
+    /tidak mendukung skip\(\)\/offset\(\)/
+  );
+});
+
+test('applyRequestQuery() menghasilkan baris yang sama di semua engine', async () => {
+  const options = {
+    allow: {
+      filter: { age: { type: 'integer', operators: ['gte', 'lt', 'between'] }, role: ['eq', 'in'], email: ['null'] },
+      sort: ['age', 'name'],
+      fields: ['id', 'name', 'age']
+    },
+    maxLimit: 50
+  };
+  const query = {
+    'filter[age][gte]': '18',
+    'filter[role][in]': 'user,admin',
+    sort: '-age',
+    fields: 'id,name',
+    page: '2',
+    limit: '2'
+  };
+
+  const { sql, mongo, memory } = await runEach(q => q.applyRequestQuery(query, options).get());
+  assert.deepStrictEqual(sql, [{ id: 3, name: 'Citra' }, { id: 2, name: 'Budi' }]);
+  assert.deepStrictEqual(mongo.map(({ _id, ...row }) => row), sql);
+  assert.deepStrictEqual(memory, sql);
+});
+
+test('Resource memperbarui data tanpa perubahan nilai dan mengembalikan 404 untuk data yang tidak ada', async () => {
+  const Fastify = require('fastify');
+
+  for (const dbEngine of ['pg', 'mongodb', 'memory']) {
+    const app = Fastify();
+    new Resource(app, 'users', { fields: ['id', 'name'], primaryKey: 'id', idType: 'integer', routes: ['update', 'patch'] }, table => {
+      return new QueryBuilder(fastify, { dbEngine, memoryStore }).from(table);
+    }).register();
+
+    try {
+      const same = await app.inject({ method: 'PATCH', url: '/users/2', payload: { name: 'Budi' } });
+      assert.deepStrictEqual([dbEngine, same.statusCode, same.json().data], [dbEngine, 200, { id: 2, name: 'Budi' }]);
+      const missing = await app.inject({ method: 'PUT', url: '/users/99', payload: { name: 'Budi' } });
+      assert.deepStrictEqual([dbEngine, missing.statusCode], [dbEngine, 404]);
+    } finally {
+      await app.close();
+    }
+  }
+});
+
+test('field hidden dari model tidak muncul di hasil query dan relasi', async () => {
+  const tables = {
+    users: {
+      primaryKey: 'id',
+      fields: { id: 'integer', name: 'string', email: { type: 'string', hidden: true } },
+      relations: { orders: { type: 'hasMany', table: 'orders', foreignKey: 'user_id' } }
+    },
+    orders: {
+      fields: { id: 'integer', user_id: { type: 'integer', hidden: true }, total: 'number' }
+    }
+  };
+
+  const { sql, mongo, memory } = await runEach(async q => {
+    const rows = await q.select('id', 'name', 'email').whereIn('id', [1, 3]).orderBy('id').with('orders').get();
+    const visible = await q._newQuery('users').where('id', 1).withHidden().first();
+    return { rows: rows.map(row => ({ ...row, _id: undefined, orders: row.orders.map(order => Object.keys(order).sort()) })), email: visible.email };
+  }, { tables });
+
+  assert.deepStrictEqual(sql, {
+    rows: [
+      { id: 1, name: 'Andi', _id: undefined, orders: [['id', 'status', 'total'], ['id', 'status', 'total']] },
+      { id: 3, name: 'Citra', _id: undefined, orders: [['id', 'status', 'total']] }
+    ],
+    email: 'andi@example.com'
+  });
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+});
+
+test('timestamps dan soft delete dengan semantik yang sama di semua engine', async () => {
+  await knex.schema.createTable('posts', table => {
+    table.integer('id').primary();
+    table.string('title');
+    table.timestamp('created_at');
+    table.timestamp('updated_at');
+    table.timestamp('deleted_at');
+  });
+  collections.posts = [];
+
+  const store = new MemoryStore();
+  const tables = { posts: { timestamps: true, softDeletes: true } };
+
+  const [sql, mongo, memory] = await Promise.all(['pg', 'mongodb', 'memory'].map(async dbEngine => {
+    const query = () => new QueryBuilder(fastify, { dbEngine, memoryStore: store, tables }).from('posts');
+    const ids = rows => rows.map(row => row.id).sort();
+
+    for (const id of [1, 2, 3]) {
+      await query().insert({ id, title: `Post ${id}` });
+    }
+    const created = await query().where('id', 1).first();
+
+    const result = {
+      stamped: created.created_at instanceof Date && created.updated_at.getTime() === created.created_at.getTime(),
+      deleted: await query().where('id', 1).delete(),
+      deletedAgain: await query().where('id', 1).delete(),
+      count: await query().count(),
+      withTrashed: await query().withTrashed().count(),
+      onlyTrashed: ids(await query().onlyTrashed().get()),
+      first: await query().where('id', 1).first(),
+      updateTrashed: await query().where('id', 1).update({ title: 'Ubah' }),
+      restored: await query().where('id', 1).restore()
+    };
+
+    const restored = await query().where('id', 1).first();
+    result.restoredRow = restored.deleted_at === null && restored.updated_at >= created.updated_at;
+
+    await query().whereIn('id', [2, 3]).delete();
+    result.forceDeleted = await query().onlyTrashed().where('id', 3).forceDelete();
+    result.remaining = ids(await query().withTrashed().get());
+    result.visible = ids(await query().get());
+    return result;
+  }));
+
+  assert.deepStrictEqual(sql, {
+    stamped: true,
+    deleted: 1,
+    deletedAgain: 0,
+    count: 2,
+    withTrashed: 3,
+    onlyTrashed: [1],
+    first: null,
+    updateTrashed: 0,
+    restored: 1,
+    restoredRow: true,
+    forceDeleted: 1,
+    remaining: [1, 2],
+    visible: [1]
+  });
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+  await assert.rejects(new QueryBuilder(fastify, { dbEngine: 'memory', memoryStore: store }).from('users').restore(), /tidak menggunakan soft delete/);
+});
+
+test('hook global dan per tabel dapat mengubah query, payload dan hasil', async () => {
+  const hooks = {
+    beforeQuery: context => {
+      context.query.where('role', 'user');
+    }
+  };
+  const tables = {
+    users: {
+      primaryKey: 'id',
+      hooks: {
+        beforeQuery: [context => {
+          context.conditions.push({ field: 'age', operator: '<', value: 60, boolean: 'and', not: false });
+        }],
+        afterQuery: context => {
+          if (context.operation === 'get') {
+            context.result = context.result.map(row => ({ id: row.id, table: context.table }));
+          }
+        }
+      }
+    }
+  };
+
+  const { sql, mongo, memory } = await runEach(async q => {
+    const page = await q.orderBy('id').paginate({ perPage: 1 });
+    return { data: page.data, total: page.total, count: await q.count(), conditions: q.conditions.length };
+  }, { hooks, tables });
+
+  assert.deepStrictEqual(sql, { data: [{ id: 1, table: 'users' }], total: 2, count: 2, conditions: 0 });
+  assert.deepStrictEqual(mongo, sql);
+  assert.deepStrictEqual(memory, sql);
+
+  const store = new MemoryStore().seed('users', users);
+  const audit = [];
+  const options = {
+    dbEngine: 'memory',
+    memoryStore: store,
+    hooks: {
+      afterInsert: context => audit.push([context.operation, context.result.length]),
+      afterDelete: context => audit.push([context.operation, context.result])
+    },
+    tables: {
+      users: {
+        hooks: {
+          beforeInsert: context => {
+            context.data = { ...context.data, email: context.data.email.toLowerCase() };
+          },
+          beforeUpdate: context => {
+            context.data.name = context.data.name.trim();
+          },
+          beforeDelete: context => {
+            if (context.conditions.length === 0) {
+              throw new Error('delete tanpa kondisi tidak diizinkan');
+            }
+          }
+        }
+      }
+    }
+  };
+  const query = () => new QueryBuilder({}, options).from('users');
+
+  const [inserted] = await query().insert({ name: 'Gita', email: 'GITA@Example.com' });
+  assert.strictEqual(inserted.email, 'gita@example.com');
+  await query().where('id', inserted.id).update({ name: '  Gita  ' });
+  assert.strictEqual((await query().where('id', inserted.id).first()).name, 'Gita');
+
+  await assert.rejects(query().delete(), /delete tanpa kondisi tidak diizinkan/);
+  assert.strictEqual(await query().where('id', inserted.id).delete(), 1);
+  assert.deepStrictEqual(audit, [['insert', 1], ['delete', 1]]);
+  assert.throws(() => QueryBuilder.validateHooks({ beforeSave: () => {} }), /Hook "beforeSave" tidak dikenal/);
+});
+
+test('cache() menyimpan hasil query dan dihapus saat tabel ditulis', async () => {
+  const store = new MemoryStore().seed('users', users).seed('orders', orders);
+  let tenant = 'user';
+  const options = {
+    dbEngine: 'memory',
+    memoryStore: store,
+    cacheStore: new LruCache(),
+    hooks: {
+      beforeQuery: context => {
+        if (context.table === 'users') {
+          context.query.where('role', '!=', tenant);
+        }
+      }
+    },
+    tables: { users: { relations: { orders: { type: 'hasMany', table: 'orders', foreignKey: 'user_id' } } } }
+  };
+  const query = table => new QueryBuilder({}, options).from(table);
+  const active = () => query('users').where('status', 'active').orderBy('id').cache({ ttl: 60 });
+  const ids = rows => rows.map(row => row.id);
+
+  assert.deepStrictEqual(ids(await active().get()), [2, 4]);
+  assert.strictEqual(await active().count(), 2);
+  assert.strictEqual((await active().paginate({ perPage: 1 })).total, 2);
+
+  // Perubahan di luar query builder tidak terlihat selama cache berlaku
+  store.add('users', { name: 'Gita', status: 'active', role: 'admin' });
+  assert.deepStrictEqual(ids(await active().get()), [2, 4]);
+  assert.strictEqual(await active().count(), 2);
+  assert.strictEqual((await active().first()).id, 2);
+
+  // Hasil cache tidak ikut berubah jika hasil query diubah
+  (await active().get())[0].name = 'X';
+  assert.strictEqual((await active().get())[0].name, 'Budi');
+
+  // Kondisi dari hook beforeQuery menjadi bagian dari key
+  tenant = 'admin';
+  assert.deepStrictEqual(ids(await active().get()), [1, 4]);
+  tenant = 'user';
+
+  await query('users').where('id', 2).update({ name: 'Budi' });
+  assert.deepStrictEqual(ids(await active().get()), [2, 4, 7]);
+  assert.strictEqual(await active().count(), 3);
+
+  // Cache dengan relasi dihapus saat tabel relasi ditulis
+  const withOrders = () => query('users').where('id', 4).with('orders').cache().first();
+  assert.strictEqual((await withOrders()).orders.length, 1);
+  await query('orders').insert({ user_id: 4, total: 5, status: 'paid' });
+  assert.strictEqual((await withOrders()).orders.length, 2);
+
+  // Key dan tag kustom
+  const admins = () => query('users').where('role', 'admin').cache({ key: 'admins', tags: 'dashboard' }).count();
+  assert.strictEqual(await admins(), 3);
+  store.add('users', { name: 'Hadi', role: 'admin' });
+  assert.strictEqual(await admins(), 3);
+  await options.cacheStore.invalidateTags(['dashboard']);
+  assert.strictEqual(await admins(), 4);
+
+  assert.throws(() => new QueryBuilder({}, { dbEngine: 'memory', memoryStore: store }).from('users').cache(), /membutuhkan opsi cacheStore/);
+});
+
+test('cache() dilewati di dalam transaksi dan invalidasi menunggu commit', async () => {
+  const store = new MemoryStore().seed('users', users);
+  const options = { dbEngine: 'memory', memoryStore: store, cacheStore: new LruCache() };
+  const db = new QueryBuilder({}, options);
+  const active = (query = new QueryBuilder({}, options).from('users')) => query.where('status', 'active').cache().count();
+
+  // Hasil baca di dalam transaksi yang di-rollback tidak tersimpan di cache
+  await assert.rejects(db.transaction(async trx => {
+    await trx('users').insert({ name: 'Gita', status: 'active' });
+    assert.strictEqual(await active(trx('users')), 4);
+    throw new Error('batal');
+  }), /batal/);
+  assert.strictEqual(await active(), 3);
+
+  // Cache dihapus setelah commit, bukan saat insert di dalam transaksi
+  await db.transaction(async trx => {
+    await trx.transaction(async nested => {
+      await nested('users').insert({ name: 'Hadi', status: 'active' });
+    });
+    assert.strictEqual(await active(), 3);
+  });
+  assert.strictEqual(await active(), 4);
+});
+
+test('monitor mencatat query dengan durasi, jumlah baris dan query yang disamarkan', async () => {
+  const events = [];
+  const monitor = new QueryMonitor();
+  monitor.on('query', event => events.push(event));
+
+  await runEach(q => q.where('status', 'active').where('age', '>=', 18).get(), { monitor });
+  const byEngine = Object.fromEntries(events.map(event => [event.engine, event]));
+
+  assert.deepStrictEqual(Object.keys(byEngine).sort(), ['memory', 'mongodb', 'pg']);
+  Object.values(byEngine).forEach(event => {
+    assert.deepStrictEqual([event.table, event.operation, event.rows, event.error, event.slow], ['users', 'get', 2, null, false]);
+    assert.ok(event.duration >= 0);
+    assert.ok(!JSON.stringify(event.query).includes('active'));
+  });
+  assert.match(byEngine.pg.query.sql, /where "status" = \? and "age" >= \?/);
+  assert.deepStrictEqual(byEngine.pg.query.bindings, ['?', '?']);
+  assert.deepStrictEqual(byEngine.mongodb.query.filter, { status: { $eq: '?' }, age: { $gte: '?' } });
+  assert.strictEqual(byEngine.memory.query.conditions[0].value, '?');
+
+  // Stream dicatat setelah selesai dibaca, query yang gagal dicatat dengan error
+  events.length = 0;
+  const store = new MemoryStore().seed('users', users);
+  const query = () => new QueryBuilder({}, { dbEngine: 'memory', memoryStore: store, monitor }).from('users');
+  for await (const row of query().where('role', 'user').stream()) {
+    assert.ok(row.id);
+  }
+  await assert.rejects(() => new QueryBuilder(fastify, { dbEngine: 'pg', monitor }).from('missing').count());
+  await query().where('id', 1).update({ age: 16 });
+  assert.deepStrictEqual(events.map(event => [event.table, event.operation, event.rows, Boolean(event.error)]), [
+    ['users', 'stream', 3, false],
+    ['missing', 'count', null, true],
+    ['users', 'update', 1, false]
+  ]);
+});
+
+test('toQuery() mengembalikan query native untuk setiap engine', async () => {
+  const { sql, mongo, memory } = await runEach(q => q.where('status', 'active').select('id', 'name').limit(2).toQuery());
+
+  assert.deepStrictEqual(sql, { sql: 'select "id", "name" from "users" where "status" = ? limit ?', bindings: ['active', 2] });
+  assert.deepStrictEqual(mongo, {
+    collection: 'users',
+    method: 'find',
+    filter: { status: { $eq: 'active' } },
+    options: { projection: { id: 1, name: 1 }, limit: 2 }
+  });
+  assert.deepStrictEqual([memory.table, memory.conditions[0].value, memory.limit], ['users', 'active', 2]);
+
+  const joined = new QueryBuilder(fastify, { dbEngine: 'mongodb' }).from('users as u').join('orders as o', 'u.id', '=', 'o.user_id').toQuery();
+  assert.strictEqual(joined.method, 'aggregate');
+  assert.ok(joined.pipeline.some(stage => stage.$lookup));
+
+  assert.throws(() => new QueryBuilder(fastify, { dbEngine: 'mongodb' }).from('users').toSQL(), /gunakan toQuery\(\)/);
+});
+
+test('explain() meringkas index yang digunakan di SQL dan MongoDB', async () => {
+  const executed = [];
+  const stub = (dialect, rows) => Object.assign(table => knex(table), {
+    client: Object.create(knex.client, { dialect: { value: dialect } }),
+    raw: async (text, bindings) => {
+      executed.push([text, bindings]);
+      return rows;
+    }
+  });
+
+  const pgPlan = [{
+    Plan: {
+      'Node Type': 'Nested Loop',
+      Plans: [
+        { 'Node Type': 'Index Scan', 'Index Name': 'users_status_index' },
+        { 'Node Type': 'Seq Scan', 'Relation Name': 'orders' }
+      ]
+    }
+  }];
+  const pg = await new QueryBuilder({ knex: { db: stub('postgresql', { rows: [{ 'QUERY PLAN': pgPlan }] }) } }, { dbEngine: 'pg' })
+    .from('users')
+    .where('status', 'active')
+    .explain();
+
+  assert.deepStrictEqual(executed[0], ['explain (format json) select * from "users" where "status" = ?', ['active']]);
+  assert.deepStrictEqual([pg.engine, pg.indexes, pg.fullScan, pg.plan], ['pg', ['users_status_index'], true, pgPlan]);
+
+  const sqlite = await new QueryBuilder({ knex: { db: stub('sqlite3', [{ detail: 'SEARCH users USING INDEX users_status_index (status=?)' }]) } }, { dbEngine: 'sqlite' })
+    .from('users')
+    .where('status', 'active')
+    .explain();
+  assert.deepStrictEqual([sqlite.indexes, sqlite.fullScan], [['users_status_index'], false]);
+
+  const mongo = await new QueryBuilder(fastify, { dbEngine: 'mongodb' }).from('users').where('status', 'active').explain();
+  assert.deepStrictEqual([mongo.engine, mongo.indexes, mongo.fullScan, mongo.query.method], ['mongodb', ['status_1'], false, 'find']);
+  const scan = await new QueryBuilder(fastify, { dbEngine: 'mongodb' }).from('users').where('age', '>', 18).explain();
+  assert.deepStrictEqual([scan.indexes, scan.fullScan], [[], true]);
+
+  await assert.rejects(() => new QueryBuilder({}, { dbEngine: 'memory', memoryStore }).from('users').explain(), /explain\(\) tidak didukung/);
+});
+
+test('upsert, increment/decrement, unset dan returning dengan hasil yang sama di semua engine', async () => {
+  collections.stocks = [];
+  const store = new MemoryStore();
+  const results = {};
+
+  for (const dbEngine of ['pg', 'mongodb', 'memory']) {
+    const query = () => new QueryBuilder(fastify, { dbEngine, memoryStore: store }).from('stocks');
+    const rowsOf = rows => rows.map(row => ({ sku: row.sku, qty: row.qty, note: row.note === undefined ? null : row.note }));
+    const present = rows => rowsOf(rows).sort((a, b) => a.sku.localeCompare(b.sku));
+
+    await query().insert({ sku: 'A', qty: 5, note: 'lama' });
+    // Hasil upsert mengikuti urutan data input, bukan urutan penyimpanan
+    const upserted = await query().upsert([{ sku: 'B', qty: 1, note: 'baru' }, { sku: 'A', qty: 10 }], { conflictOn: 'sku' });
+    // Tanpa field update, data yang sudah ada tidak diubah tetapi tetap dikembalikan
+    const ignored = await query().upsert([{ sku: 'A', qty: 99 }, { sku: 'C', qty: 7 }], { conflictOn: 'sku', update: [] });
+
+    const changed = [
+      await query().where('sku', 'A').increment('qty', 3),
+      await query().where('sku', 'A').decrement('qty'),
+      await query().where('sku', 'B').unset('note')
+    ];
+
+    results[dbEngine] = { upserted: rowsOf(upserted), ignored: rowsOf(ignored), changed, rows: present(await query().get()) };
+  }
+
+  assert.deepStrictEqual(results.pg, {
+    upserted: [{ sku: 'B', qty: 1, note: 'baru' }, { sku: 'A', qty: 10, note: 'lama' }],
+    ignored: [{ sku: 'A', qty: 10, note: 'lama' }, { sku: 'C', qty: 7, note: null }],
+    changed: [1, 1, 1],
+    rows: [{ sku: 'A', qty: 12, note: 'lama' }, { sku: 'B', qty: 1, note: null }, { sku: 'C', qty: 7, note: null }]
+  });
+  assert.deepStrictEqual(results.mongodb, results.pg);
+  assert.deepStrictEqual(results.memory, results.pg);
+
+  // returning() mengembalikan baris yang terpengaruh, MongoDB tidak mendukung RETURNING
+  for (const dbEngine of ['pg', 'memory']) {
+    const query = () => new QueryBuilder(fastify, { dbEngine, memoryStore: store }).from('stocks');
+    assert.deepStrictEqual(await query().where('sku', 'A').returning('sku', 'qty').increment('qty', 2), [{ sku: 'A', qty: 14 }]);
+    const deleted = await query().where('sku', 'B').returning().delete();
+    assert.deepStrictEqual(deleted.map(row => [row.sku, row.qty]), [['B', 1]]);
+    assert.strictEqual(await query().count(), 2);
+  }
+  assert.throws(() => new QueryBuilder(fastify, { dbEngine: 'mongodb' }).from('stocks').returning(), /returning\(\) tidak didukung/);
+
+  // Data yang sudah ada hanya memperbarui field yang dikirim dan updated_at
+  const created = new Date('2024-01-01T00:00:00Z');
+  const options = {
+    dbEngine: 'memory',
+    memoryStore: new MemoryStore().seed('stocks', [{ id: 1, sku: 'A', qty: 1, created_at: created, updated_at: created }]),
+    tables: { stocks: { timestamps: true, fields: { id: 'integer', sku: { type: 'string', required: true }, qty: { type: 'integer', default: 0 }, note: 'string' } } }
+  };
+  const stocks = () => new QueryBuilder({}, options).from('stocks');
+  const row = await stocks().upsert({ sku: 'A', note: 'x' }, { conflictOn: 'sku' });
+  assert.deepStrictEqual([row.qty, row.note, row.created_at, row.updated_at > created], [1, 'x', created, true]);
+  assert.strictEqual((await stocks().upsert({ sku: 'C' }, { conflictOn: ['sku'] })).qty, 0);
+
+  await assert.rejects(() => stocks().upsert({ qty: 1 }, { conflictOn: 'sku' }), /membutuhkan nilai "sku"/);
+  await assert.rejects(() => stocks().increment('note'), /note harus berupa angka untuk increment\(\)/);
+  await assert.rejects(() => stocks().increment('qty', '2'), /membutuhkan jumlah berupa angka/);
+  await assert.rejects(() => stocks().unset('sku'), /sku tidak boleh null/);
+});
+
+test('increment() menganggap field null sebagai 0 di semua engine', async () => {
+  await knex.schema.createTable('counters', table => {
+    table.integer('id').primary();
+    table.integer('hits');
+    table.string('note');
+  });
+  collections.counters = [];
+  const store = new MemoryStore();
+  const results = {};
+
+  for (const dbEngine of ['pg', 'mongodb', 'memory']) {
+    const query = () => new QueryBuilder(fastify, { dbEngine, memoryStore: store }).from('counters');
+    await query().insert([{ id: 1, hits: null, note: 'a' }, { id: 2, hits: 5, note: 'b' }]);
+    assert.strictEqual(await query().increment('hits', 2, { note: '$hits' }), 2);
+    await query().where('id', 2).decrement('hits');
+    results[dbEngine] = (await query().orderBy('id').get()).map(row => [row.id, row.hits, row.note]);
+  }
+
+  assert.deepStrictEqual(results.pg, [[1, 2, '$hits'], [2, 6, '$hits']]);
+  assert.deepStrictEqual(results.mongodb, results.pg);
+  assert.deepStrictEqual(results.memory, results.pg);
+});
+
+test('insert mengembalikan baris lengkap dengan field id di semua dialek', async () => {
+  // Dialek lain disimulasikan di atas pg-mem: MySQL hanya mengembalikan ID auto increment pertama,
+  // Oracle hanya mengembalikan kolom dari RETURNING
+  const dialect = (name, insert) => Object.assign(table => Object.assign(knex(table), insert ? { insert: rows => insert(table, rows) } : {}), {
+    client: Object.create(knex.client, { dialect: { value: name } })
+  });
+  const mysql = dialect('mysql', (table, rows) => knex(table).insert(rows).returning('item_id').then(result => [result[0].item_id]));
+  const oracle = dialect('oracle');
+  const options = { tables: { items: { primaryKey: 'item_id' } } };
+  const query = db => new QueryBuilder({ knex: { db } }, { dbEngine: 'pg', ...options }).from('items');
+  const present = rows => rows.map(row => [row.id === row.item_id, row.name, row.status]);
+
+  assert.deepStrictEqual(present(await query(knex).insert([{ name: 'pg-1' }, { name: 'pg-2' }])), [[true, 'pg-1', 'baru'], [true, 'pg-2', 'baru']]);
+  // MySQL: ID dari driver hanya dipakai untuk satu baris, ID baris berikutnya tidak ditebak
+  assert.deepStrictEqual(present(await query(mysql).insert({ name: 'mysql-1' })), [[true, 'mysql-1', 'baru']]);
+  const fromMysql = await query(mysql).insert([{ name: 'mysql-2' }, { name: 'mysql-3' }]);
+  assert.deepStrictEqual(fromMysql, [{ name: 'mysql-2' }, { name: 'mysql-3' }]);
+  assert.deepStrictEqual(present(await query(mysql).insert({ item_id: 50, name: 'mysql-4' })), [[true, 'mysql-4', 'baru']]);
+  const explicit = await query(mysql).insert([{ item_id: 70, name: 'mysql-5' }, { item_id: 60, name: 'mysql-6' }]);
+  assert.deepStrictEqual(explicit.map(row => [row.id, row.name, row.status]), [[70, 'mysql-5', 'baru'], [60, 'mysql-6', 'baru']]);
+  assert.deepStrictEqual(present(await query(oracle).insert({ name: 'oracle-1' })), [[true, 'oracle-1', 'baru']]);
+
+  collections.items = [];
+  const mongo = () => new QueryBuilder(fastify, { dbEngine: 'mongodb' }).from('items');
+  const inserted = await mongo().insert({ name: 'mongo-1' });
+  const many = await mongo().insert([{ name: 'mongo-2' }, { name: 'mongo-3' }]);
+  assert.strictEqual(inserted.length, 1);
+  const [single] = inserted;
+  assert.ok(single._id instanceof ObjectId);
+  assert.strictEqual(single.id, single._id);
+  assert.deepStrictEqual(many.map(doc => [doc.name, doc.id === doc._id, String(doc._id) === String(collections.items.find(item => item.name === doc.name)._id)]), [
+    ['mongo-2', true, true],
+    ['mongo-3', true, true]
+  ]);
+
+  const memory = await new QueryBuilder(fastify, { dbEngine: 'memory', memoryStore: new MemoryStore() }).from('items').insert({ name: 'memory-1' });
+  assert.deepStrictEqual(memory, [{ id: 1, name: 'memory-1' }]);
+});
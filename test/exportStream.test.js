@@ -0,0 +1,33 @@
+/**
+ * Test unit ExportStream
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const QueryBuilder = require('../lib/queryBuilder');
+const MemoryStore = require('../lib/memoryStore');
+const ExportStream = require('../lib/exportStream');
+const { users } = require('./fixtures.json');
+
+test('ExportStream mengubah stream query menjadi CSV, NDJSON dan JSON', async () => {
+  const memoryStore = new MemoryStore({ users });
+  const exportQuery = async (format, chain) => {
+    const builder = chain(new QueryBuilder({}, { dbEngine: 'memory', memoryStore }).from('users'));
+    const chunks = [];
+    for await (const chunk of builder.stream().pipe(new ExportStream({ format, fields: builder.fields }))) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+  };
+  const admins = q => q.select('name', 'email as contact').where('role', 'admin').orderBy('id');
+
+  assert.strictEqual(await exportQuery('csv', admins), 'name,contact\r\nBudi,\r\nFajar,fajar@example.com\r\n');
+  assert.strictEqual(await exportQuery('csv', q => admins(q).where('id', 0)), 'name,contact\r\n');
+  assert.strictEqual(await exportQuery('json', q => q.where('id', 0)), '[]');
+  assert.strictEqual(
+    await exportQuery('ndjson', q => q.select('id', 'name').whereIn('id', [1, 2]).orderBy('id')),
+    '{"id":1,"name":"Andi"}\n{"id":2,"name":"Budi"}\n'
+  );
+  assert.strictEqual(ExportStream.csvCell('Jl. "Merdeka", 10\nJakarta'), '"Jl. ""Merdeka"", 10\nJakarta"');
+  assert.throws(() => new ExportStream({ format: 'xml' }), /Format "xml" tidak didukung/);
+});
@@ -0,0 +1,99 @@
+/**
+ * Test plugin Fastify
+ * Mendaftarkan plugin ke instance Fastify dengan SQLite (Knex) dan engine memory
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const Fastify = require('fastify');
+const Knex = require('knex');
+const dbQueryBuilder = require('../index');
+const { users } = require('./fixtures.json');
+
+let app;
+let knex;
+
+before(async () => {
+  knex = Knex({ client: 'sqlite3', connection: { filename: ':memory:' }, useNullAsDefault: true });
+  await knex.schema.createTable('users', table => {
+    table.integer('id').primary();
+    table.string('name');
+    table.integer('age');
+    table.string('status');
+    table.string('role');
+    table.string('email');
+  });
+  await knex('users').insert(users);
+
+  app = Fastify();
+  app.decorate('knex', { db: knex });
+  await app.register(dbQueryBuilder, { dbEngine: 'sqlite' });
+  app.db.memory.seed('users', users);
+
+  app.get('/exports/:engine', (request, reply) => {
+    const query = request.params.engine === 'sql' ? app.db.sql('users') : app.getQueryBuilder('memory').from('users');
+    query.select('name', 'email as contact').where('role', 'admin').orderBy('id');
+    return reply.sendQuery(query, { format: request.query.format, filename: request.query.filename });
+  });
+  app.registerResource('users', { prefix: '/api', fields: ['id', 'name', 'role'], routes: ['list', 'get'] });
+
+  await app.ready();
+});
+
+after(async () => {
+  await app.close();
+  await knex.destroy();
+});
+
+test('stream() membaca baris SQL melalui knex', async () => {
+  const ids = [];
+  for await (const row of app.db.sql('users').where('role', 'user').orderBy('age').stream()) {
+    ids.push(row.id);
+  }
+
+  assert.deepStrictEqual(ids, [1, 3, 5]);
+});
+
+test('reply.sendQuery() mengirim CSV, NDJSON dan JSON yang sama untuk SQL dan engine memory', async () => {
+  const expected = {
+    csv: ['text/csv; charset=utf-8', 'name,contact\r\nBudi,\r\nFajar,fajar@example.com\r\n'],
+    ndjson: ['application/x-ndjson; charset=utf-8', '{"name":"Budi","contact":null}\n{"name":"Fajar","contact":"fajar@example.com"}\n'],
+    json: ['application/json; charset=utf-8', '[{"name":"Budi","contact":null},{"name":"Fajar","contact":"fajar@example.com"}]']
+  };
+
+  for (const engine of ['sql', 'memory']) {
+    for (const format of Object.keys(expected)) {
+      const response = await app.inject({ method: 'GET', url: `/exports/${engine}?format=${format}` });
+      assert.deepStrictEqual([engine, response.statusCode, response.headers['content-type'], response.body], [engine, 200, ...expected[format]]);
+    }
+  }
+
+  const download = await app.inject({ method: 'GET', url: '/exports/sql?format=csv&filename=admin.csv' });
+  assert.strictEqual(download.headers['content-disposition'], 'attachment; filename="admin.csv"');
+});
+
+test('registerResource() mendaftarkan route dengan engine default plugin', async () => {
+  const response = await app.inject({ method: 'GET', url: '/api/users/3' });
+  assert.deepStrictEqual(response.json(), { success: true, data: { id: 3, name: 'Citra', role: 'user' } });
+  assert.strictEqual((await app.inject({ method: 'POST', url: '/api/users', payload: { name: 'Gita' } })).statusCode, 404);
+});
+
+test('fastify.db.events memancarkan query dengan request id dan route', async () => {
+  const events = [];
+  const listener = event => events.push(event);
+  app.db.events.on('query', listener);
+
+  try {
+    const response = await app.inject({ method: 'GET', url: '/api/users?limit=2' });
+    assert.strictEqual(response.statusCode, 200);
+  } finally {
+    app.db.events.off('query', listener);
+  }
+
+  // paginate() menjalankan get lalu count secara berurutan
+  assert.deepStrictEqual(events.map(event => [event.engine, event.table, event.operation, event.route]), [
+    ['sqlite', 'users', 'get', '/api/users'],
+    ['sqlite', 'users', 'count', '/api/users']
+  ]);
+  assert.ok(events.every(event => event.requestId && event.connection === null));
+});
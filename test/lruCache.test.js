@@ -0,0 +1,29 @@
+/**
+ * Test unit LruCache
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LruCache = require('../lib/lruCache');
+
+test('LruCache membuang entri yang paling lama tidak digunakan dan yang kedaluwarsa', async () => {
+  const cache = new LruCache({ max: 2 });
+  cache.set('a', 1, { tags: ['users'] });
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3, { ttl: 0.001 });
+
+  assert.strictEqual(cache.get('b'), undefined);
+  assert.strictEqual(cache.get('a'), 1);
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.strictEqual(cache.get('c'), undefined);
+
+  // ttl 0 langsung kedaluwarsa, bukan tanpa batas
+  cache.set('d', 4, { ttl: 0 });
+  assert.strictEqual(cache.get('d'), undefined);
+
+  cache.invalidateTags(['users']);
+  assert.strictEqual(cache.get('a'), undefined);
+  assert.deepStrictEqual([cache.entries.size, cache.tags.size], [0, 0]);
+  assert.throws(() => LruCache.validateStore({ get() {} }), /method set, invalidateTags/);
+});
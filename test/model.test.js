@@ -0,0 +1,93 @@
+/**
+ * Test unit Model
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const QueryBuilder = require('../lib/queryBuilder');
+const MemoryStore = require('../lib/memoryStore');
+const Model = require('../lib/model');
+
+test('model memvalidasi, mengubah tipe dan memberi default pada insert dan update', async () => {
+  const fields = {
+    id: { type: 'integer', readOnly: true },
+    name: { type: 'string', required: true },
+    age: 'integer',
+    status: { type: 'string', enum: ['active', 'inactive'], default: 'active' },
+    role: { type: 'string', default: () => 'user' },
+    email: { type: 'string', hidden: true }
+  };
+  const store = new MemoryStore();
+  const query = () => new QueryBuilder({}, { dbEngine: 'memory', memoryStore: store, tables: { users: { fields } } }).from('users');
+
+  const [inserted] = await query().insert({ name: 'Gita', age: '22', email: 'gita@example.com' });
+  assert.deepStrictEqual(inserted, { id: 1, name: 'Gita', age: 22, status: 'active', role: 'user' });
+  assert.strictEqual(store.all('users')[0].email, 'gita@example.com');
+
+  await assert.rejects(query().insert({ id: 5, age: 'dua', status: 'banned', nickname: 'g' }), error => {
+    assert.strictEqual(error.statusCode, 400);
+    assert.deepStrictEqual(error.errors, [
+      { field: 'id', message: 'bersifat read-only' },
+      { field: 'age', message: 'harus berupa bilangan bulat' },
+      { field: 'status', message: 'harus salah satu dari: active, inactive' },
+      { field: 'nickname', message: 'tidak didefinisikan pada model' },
+      { field: 'name', message: 'wajib diisi' }
+    ]);
+    return true;
+  });
+
+  assert.strictEqual(await query().where('id', 1).update({ age: 23 }), 1);
+  await assert.rejects(query().update({ name: null }), /name tidak boleh null/);
+  assert.deepStrictEqual(await query().first(), { id: 1, name: 'Gita', age: 23, status: 'active', role: 'user' });
+
+  const model = new Model('users', fields);
+  assert.deepStrictEqual(model.schema('create'), {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      age: { type: ['integer', 'null'] },
+      status: { type: ['string', 'null'], enum: ['active', 'inactive', null], default: 'active' },
+      role: { type: ['string', 'null'] },
+      email: { type: ['string', 'null'] }
+    },
+    required: ['name'],
+    additionalProperties: false
+  });
+  assert.strictEqual(model.schema('update').required, undefined);
+  assert.strictEqual(model.schema('update').properties.status.default, undefined);
+  assert.deepStrictEqual(Object.keys(model.schema('response').properties), ['id', 'name', 'age', 'status', 'role']);
+  assert.throws(() => new Model('users', { age: 'int' }), /Tipe field "int" untuk "users.age" tidak didukung/);
+});
+
+test('model memvalidasi data setelah hook beforeInsert dan beforeUpdate', async () => {
+  const fields = {
+    id: { type: 'integer', readOnly: true },
+    name: { type: 'string', required: true },
+    tenant_id: { type: 'integer', required: true },
+    age: 'integer'
+  };
+  const store = new MemoryStore();
+  const seen = [];
+  const hooks = {
+    beforeInsert: context => {
+      const fill = row => ({ ...row, tenant_id: '7' });
+      context.data = Array.isArray(context.data) ? context.data.map(fill) : fill(context.data);
+    },
+    beforeUpdate: context => {
+      context.data = { ...context.data, age: String(context.data.age + 1) };
+    },
+    afterInsert: context => seen.push(context.data),
+    afterUpdate: context => seen.push(context.data)
+  };
+  const query = () => new QueryBuilder({}, { dbEngine: 'memory', memoryStore: store, tables: { users: { fields, hooks } } }).from('users');
+
+  const [inserted] = await query().insert({ name: 'Gita' });
+  assert.deepStrictEqual(inserted, { id: 1, name: 'Gita', tenant_id: 7 });
+  await query().upsert({ name: 'Gita', age: 21 }, { conflictOn: 'name', update: ['age'] });
+  assert.strictEqual(await query().where('id', 1).update({ age: 22 }), 1);
+  assert.strictEqual(await query().where('id', 1).increment('age', 1, { age: 30 }), 1);
+  assert.deepStrictEqual(store.all('users'), [{ id: 1, name: 'Gita', tenant_id: 7, age: 32 }]);
+
+  // Hook sesudah operasi menerima data yang sudah divalidasi
+  assert.deepStrictEqual(seen, [{ name: 'Gita', tenant_id: 7 }, [{ name: 'Gita', age: 21, tenant_id: 7 }], { age: 23 }, { age: 31 }]);
+});
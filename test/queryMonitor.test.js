@@ -0,0 +1,66 @@
+/**
+ * Test unit QueryMonitor
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const QueryBuilder = require('../lib/queryBuilder');
+const MemoryStore = require('../lib/memoryStore');
+const QueryMonitor = require('../lib/queryMonitor');
+const { users } = require('./fixtures.json');
+
+test('monitor menulis log dengan request id dan query lambat sebagai warn', async () => {
+  const logs = [];
+  const logger = level => ({
+    level: 'info',
+    isLevelEnabled: name => ['warn', 'info'].includes(name),
+    debug: () => logs.push([level, 'debug']),
+    info: (data, message) => logs.push([level, 'info', data.query, message]),
+    warn: (data, message) => logs.push([level, 'warn', data.query, message])
+  });
+  const store = new MemoryStore().seed('users', users);
+  const monitor = new QueryMonitor({ logger: logger('fastify'), slowQueryThreshold: 0 });
+  const slow = [];
+  monitor.on('slowQuery', event => slow.push(event.operation));
+  const query = () => new QueryBuilder({}, { dbEngine: 'memory', memoryStore: store, monitor }).from('users');
+
+  await query().count();
+  const request = { id: 'req-1', log: logger('request'), routeOptions: { url: '/users' } };
+  await QueryMonitor.run({ request }, () => query().where('id', 1).first());
+
+  assert.deepStrictEqual(slow, ['count', 'get']);
+  assert.deepStrictEqual(logs.map(log => [log[0], log[1], log[2].requestId, log[2].route]), [
+    ['fastify', 'warn', null, null],
+    ['request', 'warn', 'req-1', '/users']
+  ]);
+  assert.match(logs[1][3], /Query lambat pada "users"/);
+
+  // Tanpa threshold, query ditulis dengan logLevel dan tidak dideskripsikan jika level tidak aktif
+  logs.length = 0;
+  const info = new QueryMonitor({ logger: logger('fastify'), logLevel: 'info' });
+  await new QueryBuilder({}, { dbEngine: 'memory', memoryStore: store, monitor: info }).from('users').count();
+  assert.deepStrictEqual(logs.map(log => [log[1], log[2].operation, log[2].slow]), [['info', 'count', false]]);
+
+  let described = false;
+  new QueryMonitor({ logger: logger('fastify') }).record({ duration: 1 }, () => {
+    described = true;
+  });
+  assert.strictEqual(described, false);
+  assert.throws(() => new QueryMonitor({ slowQueryThreshold: -1 }), /slowQueryThreshold/);
+});
+
+test('event dan log query hanya berisi nama koneksi', async () => {
+  const logged = [];
+  const logger = { isLevelEnabled: () => true, debug: data => logged.push(data.query) };
+  const monitor = new QueryMonitor({ logger });
+  const events = [];
+  monitor.on('query', event => events.push(event));
+  const connections = { cache: { engine: 'memory', store: new MemoryStore().seed('users', users), password: 'rahasia' } };
+
+  await new QueryBuilder({}, { connections, connection: 'cache', monitor }).from('users').count();
+  await new QueryBuilder({}, { dbEngine: 'memory', memoryStore: new MemoryStore(), monitor }).from('users').count();
+
+  assert.deepStrictEqual(events.map(event => event.connection), ['cache', null]);
+  assert.deepStrictEqual(logged.map(entry => entry.connection), ['cache', null]);
+  assert.ok(!JSON.stringify(logged).includes('rahasia'));
+});
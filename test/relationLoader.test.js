@@ -0,0 +1,31 @@
+/**
+ * Test unit RelationLoader
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RelationLoader = require('../lib/relationLoader');
+
+test('validateRelations() memeriksa opsi wajib untuk setiap jenis relasi', () => {
+  const valid = {
+    profile: { type: 'hasOne', table: 'profiles', foreignKey: 'user_id' },
+    orders: { type: 'hasMany', table: 'orders', foreignKey: 'user_id' },
+    team: { type: 'belongsTo', table: 'teams', foreignKey: 'team_id' },
+    roles: { type: 'belongsToMany', table: 'roles', pivot: 'role_user', foreignPivotKey: 'user_id', relatedPivotKey: 'role_id' }
+  };
+  assert.doesNotThrow(() => RelationLoader.validateRelations('users', valid));
+
+  const invalid = [
+    [{ type: 'hasManyThrough', table: 'orders' }, /harus bertipe hasOne, hasMany, belongsTo, belongsToMany/],
+    [{ type: 'hasMany', foreignKey: 'user_id' }, /membutuhkan opsi table/],
+    [{ type: 'hasOne', table: 'profiles' }, /membutuhkan opsi foreignKey/],
+    [{ type: 'belongsTo', table: 'teams', ownerKey: 'id' }, /membutuhkan opsi foreignKey/],
+    [{ type: 'belongsToMany', table: 'roles', foreignPivotKey: 'user_id', relatedPivotKey: 'role_id' }, /membutuhkan opsi pivot/],
+    [{ type: 'belongsToMany', table: 'roles', pivot: 'role_user', relatedPivotKey: 'role_id' }, /membutuhkan opsi foreignPivotKey/],
+    [{ type: 'belongsToMany', table: 'roles', pivot: 'role_user', foreignPivotKey: 'user_id' }, /membutuhkan opsi relatedPivotKey/]
+  ];
+
+  invalid.forEach(([relation, message]) => {
+    assert.throws(() => RelationLoader.validateRelations('users', { broken: relation }), message);
+  });
+});
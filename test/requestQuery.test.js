@@ -0,0 +1,53 @@
+/**
+ * Test unit RequestQuery
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const QueryBuilder = require('../lib/queryBuilder');
+const MemoryStore = require('../lib/memoryStore');
+const { users } = require('./fixtures.json');
+
+const options = {
+  allow: {
+    filter: { age: { type: 'integer', operators: ['gte', 'lt', 'between'] }, role: ['eq', 'in'], email: ['null'] },
+    sort: ['age', 'name'],
+    fields: ['id', 'name', 'age']
+  },
+  maxLimit: 50
+};
+
+const memoryStore = new MemoryStore({ users });
+const query = () => new QueryBuilder({}, { dbEngine: 'memory', memoryStore }).from('users');
+
+test('applyRequestQuery() menerima filter dalam bentuk objek bersarang', async () => {
+  const nested = { filter: { email: { null: 'true' }, age: { between: ['10', '20'] } } };
+  assert.strictEqual(await query().applyRequestQuery(nested, options).count(), 1);
+});
+
+test('applyRequestQuery() menolak parameter di luar allow-list dengan status 400', () => {
+  const invalid = [
+    [{ 'filter[name]': 'Andi' }, /Filter pada field "name" tidak diizinkan/],
+    [{ 'filter[age][ne]': '18' }, /Operator "ne" pada field "age" tidak diizinkan/],
+    [{ 'filter[age][gte]': 'abc' }, /harus berupa bilangan bulat/],
+    [{ sort: 'email' }, /Pengurutan berdasarkan field "email" tidak diizinkan/],
+    [{ fields: 'id,password' }, /Field "password" tidak diizinkan/],
+    [{ limit: '500' }, /limit tidak boleh lebih dari 50/],
+    [{ 'filter[__proto__][x]': '1' }, /tidak diizinkan/],
+    [{ sortt: 'age' }, /Parameter "sortt" tidak dikenal/]
+  ];
+
+  invalid.forEach(([params, message]) => {
+    assert.throws(
+      () => query().applyRequestQuery(params, options),
+      error => error.statusCode === 400 && message.test(error.message)
+    );
+  });
+});
+
+test('applyRequestQuery() tanpa limit dibatasi defaultLimit atau maxLimit', async () => {
+  assert.ok(users.length > 2);
+  assert.strictEqual((await query().applyRequestQuery({}, { ...options, maxLimit: 2 }).get()).length, 2);
+  assert.strictEqual((await query().applyRequestQuery({}, { ...options, maxLimit: 2, defaultLimit: 1 }).get()).length, 1);
+  assert.strictEqual((await query().applyRequestQuery({ page: '2' }, { ...options, maxLimit: 2 }).get()).length, 2);
+});
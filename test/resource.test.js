@@ -0,0 +1,101 @@
+/**
+ * Test unit Resource
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Fastify = require('fastify');
+const { newDb } = require('pg-mem');
+const QueryBuilder = require('../lib/queryBuilder');
+const MemoryStore = require('../lib/memoryStore');
+const Resource = require('../lib/resource');
+const QueryMonitor = require('../lib/queryMonitor');
+const { users } = require('./fixtures.json');
+
+test('Resource mendaftarkan route CRUD dengan schema dan format response yang sama', async () => {
+  const app = Fastify();
+  const store = new MemoryStore().seed('users', users);
+
+  new Resource(app, 'users', {
+    prefix: '/api',
+    fields: ['id', 'name', 'age', 'role'],
+    schema: {
+      type: 'object',
+      properties: { name: { type: 'string' }, age: { type: 'integer' }, role: { type: 'string' } },
+      required: ['name']
+    },
+    filter: { role: ['eq'] },
+    hooks: {
+      query: query => query.where(q => q.whereNull('status').orWhere('status', '!=', 'banned')),
+      serialize: (row, request, action) => (action === 'list' ? { ...row, age: undefined } : row)
+    }
+  }, table => new QueryBuilder({}, { dbEngine: 'memory', memoryStore: store }).from(table)).register();
+
+  const request = async (method, url, payload) => {
+    const response = await app.inject({ method, url, payload });
+    return { status: response.statusCode, body: response.json() };
+  };
+
+  try {
+    assert.deepStrictEqual(await request('GET', '/api/users?filter[role]=admin&sort=-age&limit=1&page=2'), {
+      status: 200,
+      body: { success: true, data: [{ id: 2, name: 'Budi', role: 'admin' }], meta: { total: 2, page: 2, perPage: 1, lastPage: 2 } }
+    });
+    assert.deepStrictEqual(await request('GET', '/api/users/3'), {
+      status: 200,
+      body: { success: true, data: { id: 3, name: 'Citra', age: 30, role: 'user' } }
+    });
+    assert.strictEqual((await request('GET', '/api/users/5')).status, 404);
+
+    const created = await request('POST', '/api/users', { name: 'Gita', age: 22 });
+    assert.deepStrictEqual(created, { status: 201, body: { success: true, data: { id: 7, name: 'Gita', age: 22 } } });
+    assert.strictEqual((await request('POST', '/api/users', { age: 22 })).status, 400);
+
+    assert.deepStrictEqual((await request('PATCH', '/api/users/7', { role: 'editor' })).body.data, { id: 7, name: 'Gita', age: 22, role: 'editor' });
+    assert.deepStrictEqual(await request('DELETE', '/api/users/7'), { status: 200, body: { success: true, data: { id: 7 } } });
+    assert.deepStrictEqual(await request('DELETE', '/api/users/7'), { status: 404, body: { success: false, error: 'users tidak ditemukan' } });
+    assert.deepStrictEqual(await request('GET', '/api/users?filter[status]=active'), {
+      status: 400,
+      body: { success: false, error: 'Filter pada field "status" tidak diizinkan' }
+    });
+  } finally {
+    await app.close();
+  }
+});
+
+test('route list dengan fields tidak membawa kolom select() ke query count', async () => {
+  const knex = newDb().adapters.createKnex();
+  await knex.schema.createTable('users', table => {
+    table.integer('id').primary();
+    table.string('name');
+    table.integer('age');
+    table.string('status');
+    table.string('role');
+    table.string('email');
+  });
+  await knex('users').insert(users);
+
+  const app = Fastify();
+  const monitor = new QueryMonitor();
+  const queries = [];
+  monitor.on('query', event => queries.push([event.operation, event.query.sql]));
+  new Resource(app, 'users', { prefix: '/api', fields: ['id', 'name'], filter: { role: ['eq'] } }, table => {
+    return new QueryBuilder({ knex: { db: knex } }, { dbEngine: 'pg', monitor }).from(table);
+  }).register();
+
+  try {
+    const response = await app.inject({ method: 'GET', url: '/api/users?filter[role]=admin&limit=1' });
+    assert.deepStrictEqual(response.json(), {
+      success: true,
+      data: [{ id: 2, name: 'Budi' }],
+      meta: { total: 2, page: 1, perPage: 1, lastPage: 2 }
+    });
+    assert.deepStrictEqual(queries, [
+      ['get', 'select "id", "name" from "users" where "role" = ? limit ?'],
+      ['count', 'select count(*) as "count" from "users" where "role" = ?']
+    ]);
+  } finally {
+    await app.close();
+    await knex.destroy();
+  }
+});
@@ -0,0 +1,36 @@
+/**
+ * Test unit utils
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { ObjectId } = require('bson');
+const { encodeCursor, decodeCursor } = require('../lib/utils');
+
+test('decodeCursor() mengembalikan nilai skalar, Date dan ObjectId dari encodeCursor()', () => {
+  const fields = ['name', 'age', 'active', 'deleted_at', 'created_at', '_id'];
+  const id = new ObjectId();
+  const created = new Date('2024-01-01T00:00:00Z');
+  const values = decodeCursor(encodeCursor(fields, ['Andi', 15, true, null, created, id]), fields);
+
+  assert.deepStrictEqual(values.slice(0, 4), ['Andi', 15, true, null]);
+  assert.strictEqual(values[4].getTime(), created.getTime());
+  assert.strictEqual(values[5].toHexString(), id.toHexString());
+});
+
+test('decodeCursor() menolak objek, array dan nilai khusus yang tidak valid', () => {
+  const forge = value => Buffer.from(JSON.stringify({ f: ['id'], v: [value] })).toString('base64url');
+  const invalid = [
+    { $gt: '' },
+    { $ne: null },
+    ['a', 'b'],
+    { $date: '2024-01-01', $gt: '' },
+    { $date: 'bukan-tanggal' },
+    { $oid: { $gt: '' } },
+    { $oid: '123' }
+  ];
+
+  invalid.forEach(value => {
+    assert.throws(() => decodeCursor(forge(value), ['id']), /Cursor tidak valid/);
+  });
+});